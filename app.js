@@ -11,7 +11,10 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: "16kb" }));
+// Bulk upload routes parse JSON themselves with a larger limit (see their routers)
+const LARGE_JSON_PATHS = ["/api/v1/blood/import", "/api/v1/cold-chain/readings"];
+const jsonParser = express.json({ limit: "16kb" });
+app.use((req, res, next) => (LARGE_JSON_PATHS.includes(req.path) ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 app.use(express.static("public"));
 app.use(cookieParser());
@@ -24,6 +27,10 @@ import adminRouter from "./routes/admin.routes.js";
 import bloodRouter from "./routes/blood.routes.js";
 import bloodRequestRouter from "./routes/bloodRequest.routes.js";
 import centerRouter from "./routes/center.routes.js";
+import labRouter from "./routes/lab.routes.js";
+import recallRouter from "./routes/recall.routes.js";
+import coldChainRouter from "./routes/coldChain.routes.js";
+import stockLoanRouter from "./routes/stockLoan.routes.js";
 
 // routes declaration
 app.use("/api/v1/user", userRouter);
@@ -33,5 +40,22 @@ app.use("/api/v1/admin", adminRouter);
 app.use("/api/v1/blood", bloodRouter);
 app.use("/api/v1/blood-request", bloodRequestRouter);
 app.use("/api/v1/center", centerRouter);
+app.use("/api/v1/lab", labRouter);
+app.use("/api/v1/recall", recallRouter);
+app.use("/api/v1/cold-chain", coldChainRouter);
+app.use("/api/v1/stock-loan", stockLoanRouter);
+
+// Error handler - sends ApiError details (status, message, errors) as JSON
+app.use((err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+
+  return res.status(statusCode).json({
+    statusCode,
+    message: err.message || "Internal server error",
+    errors: err.errors || [],
+    data: null,
+    success: false,
+  });
+});
 
 export { app };
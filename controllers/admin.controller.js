@@ -10,6 +10,10 @@ import BloodDonation from "../models/blood.models.js";
 import BloodRequest from "../models/bloodrequest.models.js";
 import jwt from "jsonwebtoken";
 import Admin from "../models/admin.models.js";
+import JobRun from "../models/jobRun.models.js";
+import InventorySnapshot from "../models/inventorySnapshot.models.js";
+import { runJob, getRegisteredJobs } from "../jobs/index.js";
+import { getSlaConfig } from "../utils/sla.js";
 
 // Admin model reference (you might need to create this model)
 // import Admin from "../models/admin.models.js";
@@ -157,7 +161,9 @@ const getDashboardOverview = asyncHandler(async (req, res) => {
     .populate("ngoId", "name")
     .populate("centerId", "name type");
 
+  // Patient details and crossmatches are only for the hospital and the supplying NGO
   const recentRequests = await BloodRequest.find()
+    .select("-bloodGroups.patient -crossmatches")
     .sort({ createdAt: -1 })
     .limit(5)
     .populate("hospitalId", "name")
@@ -1522,6 +1528,171 @@ const verifyHospital = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * Get system-wide inventory history from daily snapshots
+ * (Optionally narrowed to an NGO, center or blood group)
+ */
+const getInventoryHistoryAnalytics = asyncHandler(async (req, res) => {
+  const { ngoId, centerId, bloodGroup, from, to, minUnits } = req.query;
+
+  // Build filter
+  const filter = {};
+  if (ngoId) {
+    if (!mongoose.Types.ObjectId.isValid(ngoId)) {
+      throw new ApiError(400, "Invalid NGO ID format");
+    }
+    filter.ngoId = new mongoose.Types.ObjectId(ngoId);
+  }
+  if (centerId) {
+    if (!mongoose.Types.ObjectId.isValid(centerId)) {
+      throw new ApiError(400, "Invalid center ID format");
+    }
+    filter.centerId = new mongoose.Types.ObjectId(centerId);
+  }
+  if (bloodGroup) filter.bloodGroup = bloodGroup;
+
+  const history = await InventorySnapshot.getTimeSeries(filter, { from, to, minUnits });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, history, "Inventory history fetched successfully"));
+});
+
+/**
+ * Get system-wide wastage report (discarded and expired units)
+ * broken down by reason, center, blood group and month
+ */
+const getWastageAnalytics = asyncHandler(async (req, res) => {
+  const { ngoId, centerId, bloodGroup, from, to } = req.query;
+
+  // Build match criteria
+  const match = {};
+  if (ngoId) {
+    if (!mongoose.Types.ObjectId.isValid(ngoId)) {
+      throw new ApiError(400, "Invalid NGO ID format");
+    }
+    match.ngoId = new mongoose.Types.ObjectId(ngoId);
+  }
+  if (centerId) {
+    if (!mongoose.Types.ObjectId.isValid(centerId)) {
+      throw new ApiError(400, "Invalid center ID format");
+    }
+    match.centerId = new mongoose.Types.ObjectId(centerId);
+  }
+  if (bloodGroup) match.bloodGroup = bloodGroup;
+
+  const report = await BloodDonation.getWastageReport(match, { from, to });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, report, "Wastage report generated successfully"));
+});
+
+/**
+ * Get SLA compliance for blood requests: response and dispatch breaches,
+ * escalations and average times, broken down by urgency level and NGO
+ */
+const getSlaAnalytics = asyncHandler(async (req, res) => {
+  const { ngoId, urgencyLevel, from, to } = req.query;
+
+  // Build match criteria
+  const match = {};
+  if (ngoId) {
+    if (!mongoose.Types.ObjectId.isValid(ngoId)) {
+      throw new ApiError(400, "Invalid NGO ID format");
+    }
+    match.ngoId = new mongoose.Types.ObjectId(ngoId);
+  }
+  if (urgencyLevel) match.urgencyLevel = urgencyLevel;
+
+  const report = await BloodRequest.getSlaReport(match, { from, to });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { ...report, slaMinutes: getSlaConfig() }, "SLA report generated successfully"));
+});
+
+/**
+ * Get registered background jobs with their latest run
+ */
+const getBackgroundJobs = asyncHandler(async (req, res) => {
+  const jobs = await Promise.all(
+    getRegisteredJobs().map(async (job) => ({
+      ...job,
+      lastRun: await JobRun.findOne({ job: job.name }).sort({ startedAt: -1 }),
+    }))
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, jobs, "Background jobs fetched successfully"));
+});
+
+/**
+ * Manually trigger a background job (e.g. the expiry sweep)
+ */
+const runBackgroundJob = asyncHandler(async (req, res) => {
+  const { jobName } = req.params;
+
+  const registeredJob = getRegisteredJobs().find((job) => job.name === jobName);
+  if (!registeredJob) {
+    throw new ApiError(
+      404,
+      `Unknown job. Must be one of: ${getRegisteredJobs()
+        .map((job) => job.name)
+        .join(", ")}`
+    );
+  }
+
+  const run = await runJob(jobName, "manual", req.admin._id);
+
+  if (!run) {
+    throw new ApiError(409, `Job ${jobName} is already running`);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, run, `Job ${jobName} ${run.status}`));
+});
+
+/**
+ * Get the history of background job runs
+ */
+const getJobRuns = asyncHandler(async (req, res) => {
+  const { job, status, page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  // Build query
+  const query = {};
+  if (job) query.job = job;
+  if (status) query.status = status;
+
+  const runs = await JobRun.find(query)
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate("triggeredBy", "fullName email");
+
+  const totalRuns = await JobRun.countDocuments(query);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        runs,
+        pagination: {
+          totalRuns,
+          totalPages: Math.ceil(totalRuns / parseInt(limit)),
+          currentPage: parseInt(page),
+          hasNextPage: skip + runs.length < totalRuns,
+          hasPrevPage: parseInt(page) > 1,
+        },
+      },
+      "Job runs fetched successfully"
+    )
+  );
+});
+
 export {
   adminLogin,
   adminLogout,
@@ -1532,10 +1703,16 @@ export {
   getHospitalAnalytics,
   getNGOAnalytics,
   getTimeBasedAnalytics,
+  getInventoryHistoryAnalytics,
+  getWastageAnalytics,
+  getSlaAnalytics,
   getAllUsers,
   getAllNGOs,
   getAllHospitals,
   getAllBloodDonations,
   verifyNGO,
   verifyHospital,
+  getBackgroundJobs,
+  runBackgroundJob,
+  getJobRuns,
 };
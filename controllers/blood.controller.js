@@ -1,10 +1,17 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import BloodDonation from "../models/blood.models.js";
+import BloodDonation, { COMPONENT_TYPES, DISCARD_REASONS } from "../models/blood.models.js";
 import { Center } from "../models/center.models.js";
 import NGO from "../models/ngo.models.js";
+import LabResult, { REQUIRED_SCREENING_TESTS } from "../models/labResult.models.js";
+import User from "../models/user.models.js";
+import InventorySnapshot from "../models/inventorySnapshot.models.js";
+import Recall from "../models/recall.models.js";
+import { parseCSV, unflattenRecord } from "../utils/csv.js";
+import { buildNGOInventory } from "../utils/inventory.js";
 import mongoose from "mongoose";
+import fs from "fs";
 
 /**
  * Register a new blood donation at a center
@@ -18,6 +25,7 @@ const registerBloodDonation = asyncHandler(async (req, res) => {
     donationAmount,
     donationDate,
     healthMetrics,
+    componentType,
     notes
   } = req.body;
 
@@ -26,6 +34,11 @@ const registerBloodDonation = asyncHandler(async (req, res) => {
     throw new ApiError(400, "User ID, Center ID, and Blood Group are required");
   }
 
+  // Apheresis collections may register a component directly
+  if (componentType && !COMPONENT_TYPES.includes(componentType)) {
+    throw new ApiError(400, `Component type must be one of: ${COMPONENT_TYPES.join(', ')}`);
+  }
+
   // Check if center exists and belongs to the NGO making the request
   const center = await Center.findOne({
     _id: centerId,
@@ -36,6 +49,18 @@ const registerBloodDonation = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Center not found or you don't have permission to register donations for this center");
   }
 
+  // Check the center has room for the unit (rejects or warns per NGO setting)
+  const { warning: capacityWarning } = await center.ensureCapacity(
+    1,
+    req.ngo.settings?.capacityEnforcement
+  );
+
+  // Deferred donors (e.g. after a reactive screening result) cannot donate
+  const donor = await User.findById(userId).select('donorDeferral');
+  if (donor?.donorDeferral?.isDeferred) {
+    throw new ApiError(403, `Donor is deferred from donating: ${donor.donorDeferral.reason}`);
+  }
+
   // Create new blood donation
   const bloodDonation = new BloodDonation({
     userId,
@@ -46,6 +71,7 @@ const registerBloodDonation = asyncHandler(async (req, res) => {
     donationAmount: donationAmount || 450, // Default amount if not specified
     donationDate: donationDate || new Date(),
     donationCenter: center.name,
+    componentType: componentType || 'WholeBlood',
     healthMetrics: healthMetrics || {},
     notes,
     status: 'processing',
@@ -74,7 +100,362 @@ const registerBloodDonation = asyncHandler(async (req, res) => {
   await ngo.save();
 
   return res.status(201).json(
-    new ApiResponse(201, savedDonation, "Blood donation registered successfully")
+    new ApiResponse(
+      201,
+      savedDonation,
+      capacityWarning
+        ? `Blood donation registered successfully. Warning: ${capacityWarning}`
+        : "Blood donation registered successfully"
+    )
+  );
+});
+
+// Statuses a historical record may be imported with
+// (assigned and separated units need links to hospitals or components that an import cannot create)
+// Units recorded as available are imported as processing: they have no lab results yet,
+// so they only become allocatable once screening clears them
+const IMPORTABLE_STATUSES = ['processing', 'available', 'used', 'expired', 'discarded'];
+const MAX_IMPORT_ROWS = 5000;
+const HELD_IMPORT_STATUSES = ['processing', 'available'];
+
+/**
+ * Read import rows from an uploaded file, a CSV body or a JSON body
+ */
+const readImportRows = (req) => {
+  if (req.file) {
+    const content = fs.readFileSync(req.file.path, 'utf8');
+    fs.unlinkSync(req.file.path);
+
+    const isJSON = req.file.mimetype === 'application/json' || req.file.originalname?.endsWith('.json');
+    if (!isJSON) {
+      return parseCSV(content).map(unflattenRecord);
+    }
+    try {
+      const parsed = JSON.parse(content);
+      return Array.isArray(parsed) ? parsed : parsed.donations;
+    } catch (error) {
+      throw new ApiError(400, "Uploaded file is not valid JSON");
+    }
+  }
+
+  if (typeof req.body === 'string') {
+    return parseCSV(req.body).map(unflattenRecord);
+  }
+
+  return Array.isArray(req.body) ? req.body : req.body?.donations;
+};
+
+/**
+ * Bulk import historical blood donations from CSV or JSON
+ * Donors may be given by userId or donorEmail, centers by centerId or centerName
+ * (Pass dryRun=true to validate without saving)
+ */
+const importBloodDonations = asyncHandler(async (req, res) => {
+  const rows = readImportRows(req);
+  const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === 'true';
+
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new ApiError(400, "At least one donation row is required");
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(400, `A single import may contain at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  // Resolve donors and centers up front instead of once per row
+  const centers = await Center.find({ ngoId: req.ngo._id });
+  const emails = [...new Set(rows.map(row => row.donorEmail?.toLowerCase().trim()).filter(Boolean))];
+  const donorIds = [...new Set(rows.map(row => row.userId).filter(id => mongoose.isValidObjectId(id)))];
+  const donors = await User.find({
+    $or: [{ email: { $in: emails } }, { _id: { $in: donorIds } }]
+  }).select('_id email');
+
+  const report = [];
+  const validRows = [];
+  // Donor and donation date of every valid row, to catch duplicates within the batch
+  const batchKeys = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 1;
+    const errors = [];
+
+    const donorId = donors.find(donor =>
+      (row.userId && donor._id.toString() === String(row.userId)) ||
+      (!row.userId && row.donorEmail && donor.email === row.donorEmail.toLowerCase().trim())
+    )?._id;
+    if (!donorId) {
+      errors.push({
+        field: 'userId',
+        message: row.userId || row.donorEmail ? "Donor not found" : "Donor userId or donorEmail is required"
+      });
+    }
+
+    const centerName = row.centerName || row.donationCenter;
+    const center = centers.find(item =>
+      (row.centerId && item._id.toString() === String(row.centerId)) ||
+      (!row.centerId && centerName && item.name.toLowerCase() === centerName.toLowerCase().trim())
+    );
+    if (!center) {
+      errors.push({ field: 'centerId', message: "Center not found or it does not belong to your NGO" });
+    }
+
+    const requestedStatus = row.status || 'processing';
+    if (!IMPORTABLE_STATUSES.includes(requestedStatus)) {
+      errors.push({ field: 'status', message: `Imported units must have a status of: ${IMPORTABLE_STATUSES.join(', ')}` });
+    }
+    const status = requestedStatus === 'available' ? 'processing' : requestedStatus;
+
+    // Used, expired and discarded units need the reason changeStatus asks for; discards also a reason code
+    const reason = String(row.reason ?? '').trim();
+    if (IMPORTABLE_STATUSES.includes(status) && !HELD_IMPORT_STATUSES.includes(status) && !reason) {
+      errors.push({ field: 'reason', message: `A reason is required to import a unit as ${status}` });
+    }
+    if (status === 'discarded' && !DISCARD_REASONS.includes(row.reasonCode)) {
+      errors.push({ field: 'reasonCode', message: `Discard reason must be one of: ${DISCARD_REASONS.join(', ')}` });
+    }
+
+    if (!row.donationDate) {
+      errors.push({ field: 'donationDate', message: "Donation date is required for historical records" });
+    }
+
+    if (errors.length) {
+      report.push({ row: rowNumber, status: 'failed', errors });
+      continue;
+    }
+
+    const bloodDonation = new BloodDonation({
+      userId: donorId,
+      ngoId: req.ngo._id,
+      centerId: center._id,
+      centerType: center.type,
+      bloodGroup: row.bloodGroup,
+      donationAmount: row.donationAmount || 450,
+      donationDate: row.donationDate,
+      donationCenter: center.name,
+      componentType: row.componentType || 'WholeBlood',
+      healthMetrics: row.healthMetrics || {},
+      notes: row.notes,
+      status,
+      expiryDate: row.expiryDate,
+      // Units no longer in stock are not placed at the center but left with the NGO,
+      // so center inventory and location queries leave them out
+      currentLocation: {
+        entityId: HELD_IMPORT_STATUSES.includes(status) ? center._id : req.ngo._id,
+        entityType: HELD_IMPORT_STATUSES.includes(status) ? 'Center' : 'NGO',
+        updatedAt: new Date()
+      },
+      discard: status === 'discarded'
+        ? { reasonCode: row.reasonCode, details: reason, approvedBy: row.approvedBy }
+        : undefined
+    });
+    bloodDonation.$locals.statusActor = { entityId: req.ngo._id, entityType: 'NGO' };
+    bloodDonation.$locals.statusNote = reason
+      ? `Imported from historical records: ${reason}`
+      : 'Imported from historical records';
+
+    // Validate against the BloodDonation schema
+    try {
+      await bloodDonation.validate();
+    } catch (error) {
+      report.push({
+        row: rowNumber,
+        status: 'failed',
+        errors: Object.values(error.errors || {}).map(item => ({ field: item.path, message: item.message }))
+      });
+      continue;
+    }
+
+    // Skip records that were already imported or registered
+    const duplicate = await BloodDonation.exists({
+      userId: bloodDonation.userId,
+      donationDate: bloodDonation.donationDate
+    });
+    if (duplicate) {
+      report.push({
+        row: rowNumber,
+        status: 'failed',
+        errors: [{ field: 'donationDate', message: "A donation for this donor on this date already exists" }]
+      });
+      continue;
+    }
+
+    const batchKey = `${bloodDonation.userId}:${bloodDonation.donationDate.getTime()}`;
+    if (batchKeys.has(batchKey)) {
+      report.push({
+        row: rowNumber,
+        status: 'failed',
+        errors: [{ field: 'donationDate', message: "Another row in this import has the same donor and donation date" }]
+      });
+      continue;
+    }
+    batchKeys.add(batchKey);
+
+    validRows.push({
+      row: rowNumber,
+      bloodDonation,
+      center,
+      notice: requestedStatus === 'available' ? "Imported as processing until lab screening clears it" : undefined
+    });
+  }
+
+  // Units still in stock count towards each center's storage capacity
+  const warnings = [];
+  const heldByCenter = {};
+  validRows
+    .filter(item => HELD_IMPORT_STATUSES.includes(item.bloodDonation.status))
+    .forEach(item => {
+      const centerId = item.center._id.toString();
+      heldByCenter[centerId] = (heldByCenter[centerId] || 0) + 1;
+    });
+
+  const rejectedCenters = new Set();
+  for (const [centerId, incoming] of Object.entries(heldByCenter)) {
+    const center = centers.find(item => item._id.toString() === centerId);
+    try {
+      const { warning } = await center.ensureCapacity(incoming, req.ngo.settings?.capacityEnforcement);
+      if (warning) warnings.push(warning);
+    } catch (error) {
+      rejectedCenters.add(centerId);
+      warnings.push(error.message);
+    }
+  }
+
+  const importedByCenter = {};
+  for (const { row, bloodDonation, center, notice } of validRows) {
+    const centerId = center._id.toString();
+
+    if (rejectedCenters.has(centerId) && HELD_IMPORT_STATUSES.includes(bloodDonation.status)) {
+      report.push({
+        row,
+        status: 'failed',
+        errors: [{ field: 'centerId', message: `${center.name} does not have storage capacity for this unit` }]
+      });
+      continue;
+    }
+
+    if (dryRun) {
+      report.push({ row, status: 'valid', notice });
+      continue;
+    }
+
+    await bloodDonation.save();
+    report.push({ row, status: 'imported', donationId: bloodDonation._id, notice });
+
+    if (!importedByCenter[centerId]) {
+      importedByCenter[centerId] = { center, count: 0, lastDonationDate: null };
+    }
+    importedByCenter[centerId].count += 1;
+    if (bloodDonation.donationDate > importedByCenter[centerId].lastDonationDate) {
+      importedByCenter[centerId].lastDonationDate = bloodDonation.donationDate;
+    }
+  }
+
+  // Update center statistics and inventory once per center
+  let importedCount = 0;
+  for (const { center, count, lastDonationDate } of Object.values(importedByCenter)) {
+    importedCount += count;
+
+    center.statistics.totalDonations += count;
+    center.statistics.totalDonors = (await BloodDonation.distinct('userId', { centerId: center._id })).length;
+    if (!center.statistics.lastDonationDate || lastDonationDate > center.statistics.lastDonationDate) {
+      center.statistics.lastDonationDate = lastDonationDate;
+    }
+    await center.save();
+
+    await center.updateBloodInventory();
+  }
+
+  if (importedCount) {
+    await NGO.findByIdAndUpdate(req.ngo._id, {
+      $inc: { 'statistics.totalDonationsCollected': importedCount }
+    });
+  }
+
+  report.sort((a, b) => a.row - b.row);
+  const failedRows = report.filter(item => item.status === 'failed').length;
+
+  return res.status(dryRun || !importedCount ? 200 : 201).json(
+    new ApiResponse(dryRun || !importedCount ? 200 : 201, {
+      dryRun,
+      totalRows: rows.length,
+      validRows: rows.length - failedRows,
+      importedRows: importedCount,
+      failedRows,
+      warnings,
+      report
+    }, dryRun
+      ? "Blood donation import validated successfully"
+      : `Imported ${importedCount} of ${rows.length} blood donations`)
+  );
+});
+
+/**
+ * Separate a whole-blood donation into component units
+ * (E.g., packed red cells, plasma and platelets)
+ */
+const processBloodComponents = asyncHandler(async (req, res) => {
+  const { donationId } = req.params;
+  const { components, notes } = req.body;
+
+  if (!donationId || !Array.isArray(components) || !components.length) {
+    throw new ApiError(400, "Donation ID and at least one component are required");
+  }
+
+  // Validate components
+  components.forEach(component => {
+    if (!component.componentType || component.componentType === 'WholeBlood' ||
+        !COMPONENT_TYPES.includes(component.componentType)) {
+      throw new ApiError(400, `Each component must have a componentType of: ${COMPONENT_TYPES.filter(type => type !== 'WholeBlood').join(', ')}`);
+    }
+  });
+
+  // Find donation and check if it belongs to the NGO
+  const donation = await BloodDonation.findOne({
+    _id: donationId,
+    ngoId: req.ngo._id
+  });
+
+  if (!donation) {
+    throw new ApiError(404, "Blood donation not found or you don't have permission to process it");
+  }
+
+  if (donation.componentType !== 'WholeBlood') {
+    throw new ApiError(400, "Only whole-blood donations can be separated into components");
+  }
+
+  if (!['processing', 'available'].includes(donation.status)) {
+    throw new ApiError(400, `Cannot process blood unit with status: ${donation.status}`);
+  }
+
+  if (donation.currentLocation.entityType !== 'Center') {
+    throw new ApiError(400, "Blood unit must be held at a center to be processed");
+  }
+
+  // Separation replaces one unit with several, so check the center has room
+  const center = await Center.findById(donation.currentLocation.entityId);
+  const { warning: capacityWarning } = center
+    ? await center.ensureCapacity(components.length - 1, req.ngo.settings?.capacityEnforcement)
+    : { warning: null };
+
+  // Create the component units and retire the parent donation
+  const componentUnits = await donation.separateIntoComponents(
+    components,
+    notes,
+    { entityId: req.ngo._id, entityType: 'NGO' }
+  );
+
+  // Update inventory of the center holding the units
+  if (center) {
+    await center.updateBloodInventory();
+  }
+
+  return res.status(201).json(
+    new ApiResponse(201, {
+      parentDonation: donation,
+      components: componentUnits
+    }, capacityWarning
+      ? `Blood donation processed into components successfully. Warning: ${capacityWarning}`
+      : "Blood donation processed into components successfully")
   );
 });
 
@@ -83,7 +464,7 @@ const registerBloodDonation = asyncHandler(async (req, res) => {
  * (Filtered by center, status, blood group, etc.)
  */
 const getNGOBloodDonations = asyncHandler(async (req, res) => {
-  const { centerId, status, bloodGroup, page = 1, limit = 10 } = req.query;
+  const { centerId, status, bloodGroup, componentType, page = 1, limit = 10 } = req.query;
   const skip = (page - 1) * limit;
 
   // Build query
@@ -92,6 +473,7 @@ const getNGOBloodDonations = asyncHandler(async (req, res) => {
   if (centerId) query.centerId = centerId;
   if (status) query.status = status;
   if (bloodGroup) query.bloodGroup = bloodGroup;
+  if (componentType) query.componentType = componentType;
 
   // Execute query with pagination
   const donations = await BloodDonation.find(query)
@@ -125,18 +507,23 @@ const getNGOBloodDonations = asyncHandler(async (req, res) => {
  */
 const updateBloodDonationStatus = asyncHandler(async (req, res) => {
   const { donationId } = req.params;
-  const { status, notes } = req.body;
+  const { status, notes, reason } = req.body;
 
   if (!donationId || !status) {
     throw new ApiError(400, "Donation ID and status are required");
   }
 
   // Validate status
-  const validStatuses = ['processing', 'available', 'assigned', 'used', 'expired', 'discarded'];
+  const validStatuses = ['processing', 'available', 'assigned', 'used', 'expired', 'discarded', 'quarantined'];
   if (!validStatuses.includes(status)) {
     throw new ApiError(400, `Status must be one of: ${validStatuses.join(', ')}`);
   }
 
+  // Discards must record a reason code and approver
+  if (status === 'discarded') {
+    throw new ApiError(400, "Use the discard endpoint (POST /blood/donation/:donationId/discard) to discard a blood unit");
+  }
+
   // Find donation and check if it belongs to the NGO
   const donation = await BloodDonation.findOne({
     _id: donationId,
@@ -147,8 +534,37 @@ const updateBloodDonationStatus = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Blood donation not found or you don't have permission to update it");
   }
 
-  // Update status
-  donation.status = status;
+  // Units held by an open recall are only released when the recall is closed
+  if (donation.status === 'quarantined' && status !== 'quarantined') {
+    const openRecall = await Recall.exists({ status: 'Open', 'affectedUnits.donationId': donation._id });
+    if (openRecall) {
+      throw new ApiError(409, "Blood unit is quarantined by an open recall. Release it by closing the recall, or discard it", [{ recallId: openRecall._id }]);
+    }
+  }
+
+  // Units only go into circulation once every mandatory screening test is non-reactive
+  if (['available', 'assigned'].includes(status) && ['processing', 'quarantined'].includes(donation.status)) {
+    const labResult = await LabResult.findOne({
+      donationId: donation.parentDonationId || donation._id
+    });
+
+    if (!labResult || labResult.outcome !== 'Cleared') {
+      const outstandingTests = labResult
+        ? labResult.getOutstandingTests()
+        : [...REQUIRED_SCREENING_TESTS, 'ABO/Rh'];
+      throw new ApiError(
+        409,
+        `Blood unit has not cleared lab screening. Outstanding: ${outstandingTests.join(', ')}`,
+        [{ outcome: labResult ? labResult.outcome : 'Pending', outstandingTests }]
+      );
+    }
+  }
+
+  // Update status (validated against the unit lifecycle; terminal states need a reason)
+  donation.changeStatus(status, {
+    actor: { entityId: req.ngo._id, entityType: 'NGO' },
+    note: reason || notes
+  });
   if (notes) donation.notes = notes;
   
   // Add verification info
@@ -171,83 +587,77 @@ const updateBloodDonationStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get blood inventory across all centers for an NGO
+ * Discard a blood unit with a standard reason code
+ * (Records the disposal method and the staff member approving the discard)
  */
-const getNGOBloodInventory = asyncHandler(async (req, res) => {
-  const ngoId = req.ngo._id;
+const discardBloodDonation = asyncHandler(async (req, res) => {
+  const { donationId } = req.params;
+  const { reasonCode, details, disposalMethod, approvedBy } = req.body;
 
-  // Get all centers for this NGO
-  const centers = await Center.find({ ngoId });
-  
-  // Initialize inventory summary
-  const inventory = {
-    total: {},
-    byCenter: {},
-    expiringSoon: []
-  };
-  
-  // Initialize blood groups
-  const bloodGroups = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
-  bloodGroups.forEach(group => {
-    inventory.total[group] = { total: 0, available: 0 };
+  if (!donationId || !reasonCode || !approvedBy) {
+    throw new ApiError(400, "Donation ID, reason code and approving staff member are required");
+  }
+
+  // Find donation and check if it belongs to the NGO
+  const donation = await BloodDonation.findOne({
+    _id: donationId,
+    ngoId: req.ngo._id
   });
-  
-  // Build inventory by center
-  for (const center of centers) {
-    const centerInventory = {};
-    
-    bloodGroups.forEach(group => {
-      centerInventory[group] = { total: 0, available: 0 };
-    });
-    
-    // Get blood donations for this center
-    const donations = await BloodDonation.find({
-      centerId: center._id,
-      currentLocation: { entityId: center._id }
-    });
-    
-    // Count donations by blood group and status
-    donations.forEach(donation => {
-      const { bloodGroup, status } = donation;
-      
-      // Update center inventory
-      centerInventory[bloodGroup].total += 1;
-      if (status === 'available') {
-        centerInventory[bloodGroup].available += 1;
-      }
-      
-      // Update total inventory
-      inventory.total[bloodGroup].total += 1;
-      if (status === 'available') {
-        inventory.total[bloodGroup].available += 1;
-      }
-      
-      // Check if expiring soon (within 7 days)
-      const today = new Date();
-      const expiryDate = new Date(donation.expiryDate);
-      const daysToExpiry = Math.floor((expiryDate - today) / (1000 * 60 * 60 * 24));
-      
-      if (status === 'available' && daysToExpiry <= 7 && daysToExpiry >= 0) {
-        inventory.expiringSoon.push({
-          id: donation._id,
-          bloodGroup: donation.bloodGroup,
-          expiryDate: donation.expiryDate,
-          daysRemaining: daysToExpiry,
-          centerName: center.name,
-          centerId: center._id
-        });
-      }
-    });
-    
-    inventory.byCenter[center._id] = {
-      centerName: center.name,
-      centerType: center.type,
-      inventory: centerInventory
-    };
+
+  if (!donation) {
+    throw new ApiError(404, "Blood donation not found or you don't have permission to discard it");
   }
-  
-  // Sort expiring soon by days remaining
-  inventory.expiringSoon.sort((a, b) => a.daysRemaining - b.daysRemaining);
+
+  donation.discardUnit({
+    reasonCode,
+    details,
+    disposalMethod,
+    approvedBy,
+    actor: { entityId: req.ngo._id, entityType: 'NGO' }
+  });
+  await donation.save();
+
+  // Update inventory of the center holding the unit
+  if (donation.currentLocation.entityType === 'Center') {
+    const center = await Center.findById(donation.currentLocation.entityId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, donation, "Blood unit discarded successfully")
+  );
+});
+
+/**
+ * Get the NGO's wastage report (discarded and expired units)
+ * broken down by reason, center, blood group and month
+ */
+const getWastageReport = asyncHandler(async (req, res) => {
+  const { centerId, bloodGroup, from, to } = req.query;
+
+  const match = { ngoId: req.ngo._id };
+  if (centerId) {
+    if (!mongoose.Types.ObjectId.isValid(centerId)) {
+      throw new ApiError(400, "Invalid center ID format");
+    }
+    match.centerId = new mongoose.Types.ObjectId(centerId);
+  }
+  if (bloodGroup) match.bloodGroup = bloodGroup;
+
+  const report = await BloodDonation.getWastageReport(match, { from, to });
+
+  return res.status(200).json(
+    new ApiResponse(200, report, "Wastage report generated successfully")
+  );
+});
+
+/**
+ * Get blood inventory across all centers for an NGO
+ */
+const getNGOBloodInventory = asyncHandler(async (req, res) => {
+  const inventory = await buildNGOInventory(req.ngo._id);
   
   return res.status(200).json(
     new ApiResponse(200, inventory, "Blood inventory fetched successfully")
@@ -282,36 +692,97 @@ const getBloodDonationDetails = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Get daily inventory snapshots for the NGO as a time series
+ * (Optionally narrowed to one center or blood group)
+ */
+const getInventoryHistory = asyncHandler(async (req, res) => {
+  const { centerId, bloodGroup, from, to, minUnits } = req.query;
+
+  const filter = { ngoId: req.ngo._id };
+
+  if (centerId) {
+    if (!mongoose.Types.ObjectId.isValid(centerId)) {
+      throw new ApiError(400, "Invalid center ID format");
+    }
+    const center = await Center.exists({ _id: centerId, ngoId: req.ngo._id });
+    if (!center) {
+      throw new ApiError(404, "Center not found or you don't have permission to view it");
+    }
+    filter.centerId = new mongoose.Types.ObjectId(centerId);
+  }
+  if (bloodGroup) filter.bloodGroup = bloodGroup;
+
+  const history = await InventorySnapshot.getTimeSeries(filter, {
+    from,
+    to,
+    minUnits: minUnits ?? req.ngo.settings?.minBloodLevelAlert
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, history, "Inventory history fetched successfully")
+  );
+});
+
 /**
  * Get expiring blood donations
  */
 const getExpiringBloodDonations = asyncHandler(async (req, res) => {
-  const { days = 7 } = req.query;
+  const { days = 7, componentType, includeCounts } = req.query;
   const ngoId = req.ngo._id;
   
   const today = new Date();
   const expiryLimit = new Date();
   expiryLimit.setDate(today.getDate() + parseInt(days));
   
-  const expiringDonations = await BloodDonation.find({
+  const query = {
     ngoId,
     status: 'available',
     expiryDate: { $gte: today, $lte: expiryLimit }
-  })
+  };
+  if (componentType) query.componentType = componentType;
+  
+  const expiringDonations = await BloodDonation.find(query)
   .sort({ expiryDate: 1 })
   .populate('centerId', 'name location.city')
   .populate('userId', 'fullName');
   
+  if (includeCounts !== 'true') {
+    return res.status(200).json(
+      new ApiResponse(200, expiringDonations, "Expiring blood donations fetched successfully")
+    );
+  }
+  
+  // Count expiring units per component and blood group
+  const countsByComponent = {};
+  expiringDonations.forEach(donation => {
+    const type = donation.componentType || 'WholeBlood';
+    if (!countsByComponent[type]) {
+      countsByComponent[type] = { total: 0, byBloodGroup: {} };
+    }
+    countsByComponent[type].total += 1;
+    countsByComponent[type].byBloodGroup[donation.bloodGroup] =
+      (countsByComponent[type].byBloodGroup[donation.bloodGroup] || 0) + 1;
+  });
+  
   return res.status(200).json(
-    new ApiResponse(200, expiringDonations, "Expiring blood donations fetched successfully")
+    new ApiResponse(200, {
+      donations: expiringDonations,
+      countsByComponent
+    }, "Expiring blood donations fetched successfully")
   );
 });
 
 export {
   registerBloodDonation,
+  importBloodDonations,
+  processBloodComponents,
   getNGOBloodDonations,
   updateBloodDonationStatus,
+  discardBloodDonation,
+  getWastageReport,
   getNGOBloodInventory,
+  getInventoryHistory,
   getBloodDonationDetails,
   getExpiringBloodDonations
 };
\ No newline at end of file
@@ -1,124 +1,426 @@
+import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import BloodDonation from "../models/blood.models.js";
-import BloodRequest from "../models/bloodrequest.models.js";
+import BloodDonation, { COMPONENT_TYPES, INSPECTION_RESULTS } from "../models/blood.models.js";
+import BloodRequest, { REQUEST_STATUSES, ANTIBODY_SCREEN_RESULTS, buildTimelineEntry } from "../models/bloodrequest.models.js";
 import { Center } from "../models/center.models.js";
 import Hospital from "../models/hospital.models.js";
 import NGO from "../models/ngo.models.js";
+import StockLoan from "../models/stockLoan.models.js";
+import { buildAllocationProposal, createLineMatcher, sortByBestRank } from "../utils/allocation.js";
+import { BLOOD_GROUPS, getLineDonorGroups, isCompatible } from "../utils/bloodCompatibility.js";
+import { applyAutoAccept } from "../utils/autoAccept.js";
+import { calculateDistance } from "../utils/geo.js";
+import {
+  sendEmergencyBroadcastEmail,
+  sendDeliveryCodeEmail,
+  sendRequestChangeEmail
+} from "../utils/emailService.js";
+
+// Furthest an emergency broadcast may reach, in km
+const MAX_BROADCAST_RADIUS_KM = 200;
+
+/**
+ * Validate the lines of a blood request
+ */
+const validateRequestLines = (bloodGroups) => {
+  bloodGroups.forEach(item => {
+    if (!item.bloodGroup || !item.units) {
+      throw new ApiError(400, "Each blood group request must include bloodGroup and units");
+    }
+    if (item.componentType && !COMPONENT_TYPES.includes(item.componentType)) {
+      throw new ApiError(400, `Component type must be one of: ${COMPONENT_TYPES.join(', ')}`);
+    }
+    // Compatibility differs between red cells, plasma and platelets
+    if (item.acceptSubstitutes && !item.componentType) {
+      throw new ApiError(400, "A component type is required to accept compatible substitutes");
+    }
+    if (item.patient) {
+      validatePatient(item);
+    }
+  });
+};
+
+/**
+ * Validate the pseudonymous patient details of a request line
+ */
+const validatePatient = (line) => {
+  const { reference, bloodGroup, antibodyScreen, sampleCollectedAt } = line.patient;
+
+  if (!reference || !bloodGroup || !antibodyScreen || !sampleCollectedAt) {
+    throw new ApiError(400, "Patient details must include reference, bloodGroup, antibodyScreen and sampleCollectedAt");
+  }
+  if (!BLOOD_GROUPS.includes(bloodGroup)) {
+    throw new ApiError(400, `Patient blood group must be one of: ${BLOOD_GROUPS.join(', ')}`);
+  }
+  if (!ANTIBODY_SCREEN_RESULTS.includes(antibodyScreen)) {
+    throw new ApiError(400, `Antibody screen must be one of: ${ANTIBODY_SCREEN_RESULTS.join(', ')}`);
+  }
+
+  const collectedAt = new Date(sampleCollectedAt);
+  if (Number.isNaN(collectedAt.getTime()) || collectedAt > new Date()) {
+    throw new ApiError(400, "Sample collection time must be a valid date in the past");
+  }
+
+  // The requested group itself must be safe for the patient
+  if (line.componentType && !isCompatible(line.bloodGroup, bloodGroup, line.componentType)) {
+    throw new ApiError(400, `${line.bloodGroup} ${line.componentType} cannot be given to a ${bloodGroup} patient`);
+  }
+};
+
+// Why a unit cannot be dispatched against a request, when no outstanding line takes it
+const unfillableLineMessage = (request, unit) => {
+  const message = `Request has no outstanding line that ${unit.bloodGroup} ${unit.componentType} units can fill`;
+  return request.bloodGroups.some(line => line.patient)
+    ? `${message} (lines with patient details need a compatible crossmatch for the unit)`
+    : message;
+};
+
+// Request as a plain object without patient details or crossmatches,
+// for anyone other than the hospital and the NGO supplying the request
+const withoutPatientData = (request) => {
+  const data = request.toObject ? request.toObject() : request;
+  data.bloodGroups = data.bloodGroups.map(({ patient, ...line }) => ({
+    ...line,
+    crossmatchRequired: Boolean(patient)
+  }));
+  delete data.crossmatches;
+  return data;
+};
 
 /**
  * Create a blood request (from hospital to NGO)
  */
 const createBloodRequest = asyncHandler(async (req, res) => {
-  const { ngoId, bloodGroups, urgencyLevel, requestNotes } = req.body;
+  const { ngoId, bloodGroups, urgencyLevel, requestNotes, broadcast } = req.body;
+  const radiusKm = Number(req.body.radiusKm ?? 10);
   const hospitalId = req.hospital._id;
 
-  if (!ngoId || !bloodGroups || !bloodGroups.length) {
-    throw new ApiError(400, "NGO ID and blood groups are required");
+  if ((!ngoId && !broadcast) || !bloodGroups || !bloodGroups.length) {
+    throw new ApiError(400, "NGO ID (or broadcast) and blood groups are required");
+  }
+
+  if (broadcast && !(radiusKm > 0 && radiusKm <= MAX_BROADCAST_RADIUS_KM)) {
+    throw new ApiError(400, `radiusKm must be a number greater than 0 and at most ${MAX_BROADCAST_RADIUS_KM}`);
   }
 
   // Validate blood groups format
-  bloodGroups.forEach(item => {
-    if (!item.bloodGroup || !item.units) {
-      throw new ApiError(400, "Each blood group request must include bloodGroup and units");
+  validateRequestLines(bloodGroups);
+
+  // Emergency broadcast: offer the request to every nearby verified NGO with matching stock
+  let hospital;
+  let broadcastNgos = [];
+  if (broadcast) {
+    hospital = await Hospital.findById(hospitalId).select('name address.location');
+    if (!hospital?.address?.location?.coordinates?.length) {
+      throw new ApiError(400, "Hospital location not set properly");
     }
-  });
+
+    const nearbyNGOs = await NGO.findVerifiedNear(hospital.address.location, radiusKm)
+      .select('name email address.location bloodInventory');
+
+    broadcastNgos = nearbyNGOs.filter(ngo => hasMatchingStock(ngo, bloodGroups));
+    if (!broadcastNgos.length) {
+      throw new ApiError(404, `No verified NGO within ${radiusKm} km has stock matching the request`);
+    }
+  }
 
   // Create new blood request
   const bloodRequest = new BloodRequest({
     hospitalId,
-    ngoId,
+    ngoId: broadcast ? undefined : ngoId,
     bloodGroups,
-    urgencyLevel: urgencyLevel || 'Regular',
+    urgencyLevel: broadcast ? 'Emergency' : (urgencyLevel || 'Regular'),
     requestNotes,
-    status: 'Pending'
+    status: 'Pending',
+    broadcast: broadcast ? {
+      radiusKm,
+      ngos: broadcastNgos.map(ngo => ({
+        ngoId: ngo._id,
+        distanceKm: Math.round(calculateDistance(
+          hospital.address.location.coordinates,
+          ngo.address.location.coordinates
+        ) * 10) / 10
+      }))
+    } : undefined
   });
 
+  if (broadcast) {
+    bloodRequest.$locals.statusNote = `Emergency request broadcast to ${broadcastNgos.length} NGOs within ${radiusKm} km`;
+  }
+
   const savedRequest = await bloodRequest.save();
 
-  // Notify NGO about the request (implement this later)
-  // notifyNGOAboutRequest(ngoId, savedRequest);
+  // Accept straight away when the NGO's auto-accept rules allow it
+  if (!broadcast) {
+    const ngo = await NGO.findById(ngoId).select('settings connectedHospitals');
+    await applyAutoAccept(savedRequest, ngo);
+  }
+
+  // Email every broadcast NGO. Not awaited, so an emergency request is not held up by
+  // one SMTP round-trip per NGO; the email helpers report failures instead of throwing
+  broadcastNgos.filter(ngo => ngo.email).forEach(ngo => {
+    const { distanceKm } = savedRequest.broadcast.ngos.find(item => item.ngoId.equals(ngo._id));
+    sendEmergencyBroadcastEmail(ngo.email, ngo.name, hospital.name, bloodGroups, distanceKm);
+  });
 
   return res.status(201).json(
-    new ApiResponse(201, savedRequest, "Blood request created successfully")
+    new ApiResponse(
+      201,
+      savedRequest,
+      broadcast
+        ? `Emergency request broadcast to ${broadcastNgos.length} nearby NGOs`
+        : savedRequest.autoDecision?.decision === 'Accepted'
+          ? "Blood request created and accepted automatically"
+          : "Blood request created successfully"
+    )
+  );
+});
+
+/**
+ * Check an NGO holds stock for at least one line of a request
+ * (including compatible substitutes for lines that accept them)
+ */
+const hasMatchingStock = (ngo, lines) => lines.some(line =>
+  getLineDonorGroups(line, 'Emergency').some(({ bloodGroup }) =>
+    (ngo.bloodInventory.find(item => item.bloodGroup === bloodGroup)?.units || 0) > 0
+  )
+);
+
+/**
+ * Accept or decline an emergency broadcast request
+ * The first NGO to accept owns the request; NGOs that had not responded see it as taken
+ */
+const respondToBroadcastRequest = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { response, notes, estimatedDeliveryTime } = req.body;
+  const ngoId = req.ngo._id;
+  const now = new Date();
+
+  if (!['Accepted', 'Declined'].includes(response)) {
+    throw new ApiError(400, "Response must be Accepted or Declined");
+  }
+
+  // Only an open broadcast this NGO has not yet answered can be responded to
+  const openFilter = {
+    _id: requestId,
+    status: 'Pending',
+    ngoId: null,
+    'broadcast.ngos': { $elemMatch: { ngoId, response: 'Pending' } }
+  };
+
+  const update = {
+    'broadcast.ngos.$.response': response,
+    'broadcast.ngos.$.respondedAt': now,
+    'broadcast.ngos.$.notes': notes
+  };
+  if (response === 'Accepted') {
+    Object.assign(update, {
+      ngoId,
+      status: 'Accepted',
+      'broadcast.acceptedAt': now,
+      'sla.respondedAt': now
+    });
+    if (estimatedDeliveryTime) {
+      update['deliveryDetails.estimatedDeliveryTime'] = new Date(estimatedDeliveryTime);
+    }
+  }
+
+  // Atomic so that only one NGO can win the request
+  let request = await BloodRequest.findOneAndUpdate(
+    openFilter,
+    response === 'Accepted'
+      ? {
+        $set: update,
+        $push: {
+          timeline: buildTimelineEntry('Pending', 'Accepted', {
+            actor: { entityId: ngoId, entityType: 'NGO' },
+            note: notes || 'Accepted emergency broadcast'
+          })
+        }
+      }
+      : { $set: update },
+    { new: true }
+  );
+
+  if (!request) {
+    const existing = await BloodRequest.findOne({ _id: requestId, 'broadcast.ngos.ngoId': ngoId });
+    if (!existing) {
+      throw new ApiError(404, "Broadcast request not found or it was not sent to your NGO");
+    }
+    if (existing.ngoId) {
+      throw new ApiError(409, existing.ngoId.equals(ngoId)
+        ? "You have already accepted this request"
+        : "This request has already been taken by another NGO");
+    }
+    throw new ApiError(409, `This request can no longer be responded to (status: ${existing.status})`);
+  }
+
+  if (response === 'Accepted') {
+    // Everyone who had not responded now sees the request as taken
+    request = await BloodRequest.findByIdAndUpdate(
+      request._id,
+      { $set: { 'broadcast.ngos.$[open].response': 'Taken' } },
+      { arrayFilters: [{ 'open.response': 'Pending' }], new: true }
+    );
+  } else if (request.broadcast.ngos.every(item => item.response === 'Declined')) {
+    // Nobody can supply it
+    request = await BloodRequest.findOneAndUpdate(
+      { _id: request._id, status: 'Pending', ngoId: null },
+      {
+        $set: { status: 'Rejected', 'sla.respondedAt': new Date() },
+        $push: { timeline: buildTimelineEntry('Pending', 'Rejected', { note: 'Every notified NGO declined the broadcast' }) }
+      },
+      { new: true }
+    ) || request;
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, response === 'Accepted' ? request : withoutPatientData(request), response === 'Accepted'
+      ? "Broadcast request accepted; it is now assigned to your NGO"
+      : "Broadcast request declined")
   );
 });
 
 /**
  * Update blood request status
+ * NGOs accept, reject and dispatch their requests; hospitals confirm delivery and complete theirs
  */
 const updateBloodRequestStatus = asyncHandler(async (req, res) => {
   const { requestId } = req.params;
   const { status, notes, estimatedDeliveryTime } = req.body;
-  const ngoId = req.ngo._id;
+  const actor = req.hospital
+    ? { entityId: req.hospital._id, entityType: 'Hospital' }
+    : { entityId: req.ngo._id, entityType: 'NGO' };
 
   if (!requestId || !status) {
     throw new ApiError(400, "Request ID and status are required");
   }
 
   // Validate status
-  const validStatuses = ['Pending', 'Accepted', 'Rejected', 'Processing', 'En Route', 'Delivered', 'Completed'];
-  if (!validStatuses.includes(status)) {
-    throw new ApiError(400, `Status must be one of: ${validStatuses.join(', ')}`);
+  if (!REQUEST_STATUSES.includes(status)) {
+    throw new ApiError(400, `Status must be one of: ${REQUEST_STATUSES.join(', ')}`);
   }
 
-  // Find request and check if it belongs to the NGO
+  // Delivery is only confirmed by presenting the delivery code
+  if (status === 'Delivered') {
+    throw new ApiError(400, "Confirm delivery with the delivery code at /confirm-delivery/:requestId");
+  }
+
+  // These follow from dispatching, closing out or forwarding units, never from a manual update
+  if (['Processing', 'Partially Fulfilled'].includes(status)) {
+    throw new ApiError(400, `'${status}' is set when units are dispatched, closed out or forwarded`);
+  }
+
+  // Find request and check if it belongs to the NGO or hospital
   const request = await BloodRequest.findOne({
     _id: requestId,
-    ngoId
+    ...(req.hospital ? { hospitalId: req.hospital._id } : { ngoId: req.ngo._id })
   });
 
   if (!request) {
     throw new ApiError(404, "Blood request not found or you don't have permission to update it");
   }
 
-  // Update status
-  request.status = status;
-  
-  // Add notes if provided
-  if (notes) {
-    request.requestNotes = request.requestNotes 
-      ? `${request.requestNotes}\n\n${new Date().toISOString()}: ${notes}`
-      : `${new Date().toISOString()}: ${notes}`;
-  }
+  // Validate the transition for the caller's role and record it in the timeline
+  request.changeStatus(status, { actor, note: notes });
   
-  // Add delivery details if status is Accepted or Processing
-  if (['Accepted', 'Processing'].includes(status) && estimatedDeliveryTime) {
+  // Add delivery details when the request is accepted
+  if (status === 'Accepted' && estimatedDeliveryTime) {
     request.deliveryDetails = {
       ...request.deliveryDetails,
       estimatedDeliveryTime: new Date(estimatedDeliveryTime)
     };
   }
   
-  // Add actual delivery time if status is Delivered
-  if (status === 'Delivered') {
-    request.deliveryDetails = {
-      ...request.deliveryDetails,
-      actualDeliveryTime: new Date()
-    };
-  }
+  // Dispatch issues the one-time code the hospital needs to confirm delivery
+  const deliveryCode = status === 'En Route' ? await request.issueDeliveryCode() : null;
 
   await request.save();
 
+  if (deliveryCode) {
+    await shareDeliveryCode(request, deliveryCode, req.ngo);
+  }
+
+  // A rejected request no longer needs its reserved units
+  if (status === 'Rejected') {
+    await BloodDonation.releaseReservations({ 'reservation.requestId': request._id });
+  }
+
   // Update NGO statistics if request is completed
   if (status === 'Completed') {
-    const ngo = await NGO.findById(ngoId);
-    ngo.statistics.totalHospitalsServed += 1;
-    await ngo.save();
+    const ngo = await NGO.findById(request.ngoId);
+    if (ngo) {
+      ngo.statistics.totalHospitalsServed += 1;
+      await ngo.save();
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      deliveryCode ? { request: withoutCodeHash(request), deliveryCode } : request,
+      deliveryCode
+        ? "Blood request dispatched; share the delivery code with the hospital's receiving contact"
+        : "Blood request status updated successfully"
+    )
+  );
+});
+
+/**
+ * Email a request's delivery code to the hospital's receiving contact
+ */
+const shareDeliveryCode = async (request, code, ngo) => {
+  const hospital = await Hospital.findById(request.hospitalId).select('email contactPerson');
+  if (!hospital?.email) return false;
+
+  return sendDeliveryCodeEmail(hospital.email, hospital.contactPerson?.name, ngo?.name, request._id, code);
+};
+
+// Request as a plain object without the delivery code hash
+const withoutCodeHash = (request) => {
+  const data = request.toObject();
+  if (data.deliveryCode) delete data.deliveryCode.codeHash;
+  return data;
+};
+
+/**
+ * Reissue the delivery code of a dispatched request (e.g. when the hospital lost it)
+ */
+const reissueDeliveryCode = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+
+  const request = await BloodRequest.findOne({
+    _id: requestId,
+    ngoId: req.ngo._id,
+    status: 'En Route'
+  });
+
+  if (!request) {
+    throw new ApiError(404, "Dispatched blood request not found or you don't have permission to update it");
   }
 
+  const deliveryCode = await request.issueDeliveryCode();
+  await request.save();
+  await shareDeliveryCode(request, deliveryCode, req.ngo);
+
   return res.status(200).json(
-    new ApiResponse(200, request, "Blood request status updated successfully")
+    new ApiResponse(200, {
+      requestId: request._id,
+      deliveryCode,
+      issuedAt: request.deliveryCode.issuedAt
+    }, "Delivery code reissued; the previous code no longer works")
   );
 });
 
 /**
- * Transfer blood unit to another entity (e.g., to a hospital)
+ * Dispatch a blood unit to another entity (e.g., to a hospital)
+ * The unit is in transit until the destination confirms receipt
  */
 const transferBloodUnit = asyncHandler(async (req, res) => {
   const { donationId } = req.params;
-  const { toEntityId, toEntityType, reason, requestId } = req.body;
+  const { toEntityId, toEntityType, reason, requestId, courier, packingTemperature } = req.body;
 
   if (!donationId || !toEntityId || !toEntityType) {
     throw new ApiError(400, "Donation ID, destination entity ID and type are required");
@@ -142,43 +444,863 @@ const transferBloodUnit = asyncHandler(async (req, res) => {
 
   // Check if donation is available
   if (donation.status !== 'available') {
-    throw new ApiError(400, `Cannot transfer blood unit with status: ${donation.status}. Unit must be 'available'`);
+    throw new ApiError(409, `Cannot transfer blood unit with status: ${donation.status}. Unit must be 'available'`);
   }
 
-  // Transfer the blood unit
-  await donation.transferTo(toEntityId, toEntityType, reason);
+  // Reserved units only go to the hospital of the request they are reserved for;
+  // moving them anywhere else would take the reservation away from the reserving site
+  if (donation.isReserved(toEntityType === 'Hospital' ? requestId : undefined)) {
+    throw new ApiError(
+      409,
+      toEntityType === 'Hospital'
+        ? `Blood unit is reserved for blood request ${donation.reservation.requestId}`
+        : `Blood unit is reserved for blood request ${donation.reservation.requestId}. Release the reservation before moving it`
+    );
+  }
+
+  // A unit sent for a blood request must fill one of its outstanding lines
+  let request = null;
+  if (toEntityType === 'Hospital' && requestId) {
+    request = await BloodRequest.findOne({ _id: requestId, ngoId: req.ngo._id });
+    if (!request) {
+      throw new ApiError(404, "Blood request not found or you don't have permission to fulfil it");
+    }
+    if (!ALLOCATABLE_REQUEST_STATUSES.includes(request.status)) {
+      throw new ApiError(409, `Cannot send units for a request with status: ${request.status}`);
+    }
+    if (!request.hospitalId.equals(toEntityId)) {
+      throw new ApiError(400, "Units for a blood request must be sent to the requesting hospital");
+    }
+    if (!request.recordFulfilment(donation)) {
+      throw new ApiError(409, unfillableLineMessage(request, donation));
+    }
+  }
+
+  // Check the destination center has room (rejects or warns per NGO setting)
+  let capacityWarning = null;
+  if (toEntityType === 'Center') {
+    const destination = await Center.findById(toEntityId);
+    if (!destination) {
+      throw new ApiError(404, "Destination center not found");
+    }
+    const destinationNgo = destination.ngoId.equals(req.ngo._id)
+      ? req.ngo
+      : await NGO.findById(destination.ngoId).select('settings');
+    ({ warning: capacityWarning } = await destination.ensureCapacity(
+      1,
+      destinationNgo?.settings?.capacityEnforcement
+    ));
+  }
+
+  // Dispatch the blood unit
+  const source = {
+    entityId: donation.currentLocation.entityId,
+    entityType: donation.currentLocation.entityType
+  };
+  await donation.transferTo(toEntityId, toEntityType, reason, {
+    courier,
+    packingTemperature,
+    actor: { entityId: req.ngo._id, entityType: 'NGO' }
+  });
 
   // Update status to assigned if transferring to a hospital
   if (toEntityType === 'Hospital') {
-    donation.status = 'assigned';
+    donation.changeStatus('assigned', {
+      actor: { entityId: req.ngo._id, entityType: 'NGO' },
+      note: reason || 'Transferred to hospital'
+    });
+    if (requestId) donation.requestId = requestId;
     await donation.save();
     
-    // If this transfer is part of a blood request, update the request status
-    if (requestId) {
-      const request = await BloodRequest.findById(requestId);
-      if (request && ['Pending', 'Accepted'].includes(request.status)) {
-        request.status = 'Processing';
-        await request.save();
-      }
+    // Record the unit against the request line and update the request status
+    if (request) {
+      request.updateFulfilmentStatus({
+        actor: { entityId: req.ngo._id, entityType: 'NGO' },
+        note: `Blood unit ${donation._id} transferred`
+      });
+      await request.save();
     }
   }
 
   // Update source center inventory
-  const sourceCenter = await Center.findById(donation.centerId);
+  const sourceCenter = source.entityType === 'Center' ? await Center.findById(source.entityId) : null;
   if (sourceCenter) {
     await sourceCenter.updateBloodInventory();
   }
 
-  // Update destination center inventory if transferring to another center
-  if (toEntityType === 'Center') {
-    const destCenter = await Center.findById(toEntityId);
-    if (destCenter) {
-      await destCenter.updateBloodInventory();
+  // The destination's inventory is updated when it confirms receipt
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      donation,
+      capacityWarning
+        ? `Blood unit dispatched successfully. Warning: ${capacityWarning}`
+        : "Blood unit dispatched successfully"
+    )
+  );
+});
+
+// Requests that can still have units allocated to them
+const ALLOCATABLE_REQUEST_STATUSES = ['Pending', 'Accepted', 'Processing', 'Partially Fulfilled'];
+
+/**
+ * Find an NGO's blood request that can still have units allocated
+ */
+const findAllocatableRequest = async (requestId, ngoId) => {
+  const request = await BloodRequest.findOne({
+    _id: requestId,
+    ngoId
+  });
+
+  if (!request) {
+    throw new ApiError(404, "Blood request not found or you don't have permission to allocate units to it");
+  }
+
+  if (!ALLOCATABLE_REQUEST_STATUSES.includes(request.status)) {
+    throw new ApiError(409, `Cannot allocate units to a request with status: ${request.status}`);
+  }
+
+  return request;
+};
+
+/**
+ * Propose units for a blood request (first-expiry-first-out across the NGO's centers)
+ * Nothing is reserved; staff review the proposal and commit it
+ */
+const proposeAllocation = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const maxDistanceKm = req.body.maxDistanceKm ? Number(req.body.maxDistanceKm) : undefined;
+
+  const request = await findAllocatableRequest(requestId, req.ngo._id);
+  const hospital = await Hospital.findById(request.hospitalId).select('name address.location');
+
+  const proposal = await buildAllocationProposal(request, hospital, { maxDistanceKm });
+
+  return res.status(200).json(
+    new ApiResponse(200, proposal, proposal.fullyAllocated
+      ? "Allocation proposed successfully"
+      : "Allocation proposed with a shortfall: not enough available units")
+  );
+});
+
+/**
+ * Commit an allocation: dispatch the units to the hospital and link them to the request
+ * (donationIds from a reviewed proposal; without them the current proposal is committed)
+ */
+const commitAllocation = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { donationIds, courier, packingTemperature } = req.body;
+  const maxDistanceKm = req.body.maxDistanceKm ? Number(req.body.maxDistanceKm) : undefined;
+  const actor = { entityId: req.ngo._id, entityType: 'NGO' };
+
+  // Every unit is dispatched with the same courier
+  if (!courier?.name || packingTemperature === undefined || Number.isNaN(Number(packingTemperature))) {
+    throw new ApiError(400, "Courier name and packing temperature are required to dispatch the allocated units");
+  }
+
+  const request = await findAllocatableRequest(requestId, req.ngo._id);
+  const hospital = await Hospital.findById(request.hospitalId).select('name address.location');
+
+  const proposal = await buildAllocationProposal(request, hospital, { maxDistanceKm });
+  const proposedUnits = proposal.lines.flatMap(line => line.units);
+
+  let selectedIds;
+  if (Array.isArray(donationIds) && donationIds.length) {
+    selectedIds = [...new Set(donationIds.map(String))];
+  } else {
+    selectedIds = proposedUnits.map(unit => unit.donationId.toString());
+  }
+
+  if (!selectedIds.length) {
+    throw new ApiError(409, "No available units to allocate to this request");
+  }
+
+  const units = await BloodDonation.find({
+    _id: { $in: selectedIds },
+    ngoId: req.ngo._id
+  });
+
+  // Every unit must still be allocatable and fit an outstanding line of the request
+  const errors = [];
+  const matchLine = createLineMatcher(request, proposal.lines);
+  const lineByDonation = new Map();
+  const allocatedIds = new Set((request.allocation?.units || []).map(unit => unit.donationId.toString()));
+  const matchable = [];
+
+  selectedIds.forEach(donationId => {
+    const unit = units.find(item => item._id.toString() === donationId);
+
+    if (!unit) {
+      errors.push({ donationId, message: "Blood unit not found or not collected by your NGO" });
+    } else if (allocatedIds.has(donationId)) {
+      errors.push({ donationId, message: "Blood unit is already allocated to this request" });
+    } else if (unit.status !== 'available' || unit.expiryDate <= new Date()) {
+      errors.push({ donationId, message: `Blood unit is not available (status: ${unit.status})` });
+    } else if (unit.transferHold?.incidentId) {
+      errors.push({ donationId, message: `Blood unit is on hold: ${unit.transferHold.reason}` });
+    } else if (unit.isReserved(request._id)) {
+      errors.push({ donationId, message: `Blood unit is reserved for blood request ${unit.reservation.requestId}` });
+    } else if (unit.currentLocation.entityType !== 'Center' || unit.currentLocation.inTransit) {
+      errors.push({ donationId, message: "Blood unit must be held at a center" });
+    } else {
+      matchable.push(unit);
+    }
+  });
+
+  sortByBestRank(request, matchable).forEach(unit => {
+    const lineId = matchLine(unit);
+    if (lineId) {
+      lineByDonation.set(unit._id.toString(), lineId);
+    } else {
+      errors.push({ donationId: unit._id.toString(), message: unfillableLineMessage(request, unit) });
+    }
+  });
+
+  if (errors.length) {
+    throw new ApiError(409, "Allocation cannot be committed", errors);
+  }
+
+  // Transfer every unit to the hospital
+  // If any dispatch fails, units already dispatched are returned to stock where they were
+  const centerIds = new Set();
+  const allocatedUnits = [];
+  const dispatched = [];
+  try {
+    for (const unit of units) {
+      const centerId = unit.currentLocation.entityId.toString();
+      const previous = {
+        requestId: unit.requestId,
+        currentLocation: unit.currentLocation.toObject(),
+        storageUnitId: unit.storageUnitId,
+        reservation: unit.reservation?.toObject()
+      };
+
+      unit.requestId = request._id;
+      unit.changeStatus('assigned', {
+        actor,
+        note: `Allocated to blood request ${request._id}`
+      });
+      await unit.transferTo(request.hospitalId, 'Hospital', `Allocated to blood request ${request._id}`, {
+        courier,
+        packingTemperature,
+        actor
+      });
+      dispatched.push({ unit, previous });
+      centerIds.add(centerId);
+
+      const proposed = proposedUnits.find(item => item.donationId.toString() === unit._id.toString());
+      allocatedUnits.push({
+        donationId: unit._id,
+        lineId: lineByDonation.get(unit._id.toString()),
+        bloodGroup: unit.bloodGroup,
+        componentType: unit.componentType,
+        centerId,
+        expiryDate: unit.expiryDate,
+        distanceKm: proposed?.distanceKm
+      });
+    }
+  } catch (error) {
+    for (const { unit, previous } of dispatched) {
+      unit.transferHistory.pop();
+      unit.requestId = previous.requestId;
+      unit.currentLocation = previous.currentLocation;
+      unit.storageUnitId = previous.storageUnitId;
+      unit.reservation = previous.reservation;
+      unit.changeStatus('available', {
+        actor,
+        note: `Allocation to blood request ${request._id} failed; returned to stock`
+      });
+      await unit.save();
+    }
+    throw error;
+  }
+
+  // Link the units to the request
+  request.allocation = {
+    committedAt: new Date(),
+    units: [...(request.allocation?.units || []), ...allocatedUnits]
+  };
+  units.forEach(unit => request.recordFulfilment(unit, lineByDonation.get(unit._id.toString())));
+  request.updateFulfilmentStatus({
+    actor,
+    note: `${allocatedUnits.length} units allocated and dispatched`
+  });
+  await request.save();
+
+  // Update inventory of the source centers once
+  for (const centerId of centerIds) {
+    const center = await Center.findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
     }
   }
 
   return res.status(200).json(
-    new ApiResponse(200, donation, "Blood unit transferred successfully")
+    new ApiResponse(200, {
+      request,
+      allocatedUnits
+    }, `${allocatedUnits.length} blood units allocated and dispatched successfully`)
+  );
+});
+
+// Requests whose units may be reserved (accepted but not yet dispatched)
+const RESERVABLE_REQUEST_STATUSES = ['Accepted', 'Processing', 'Partially Fulfilled'];
+
+/**
+ * Reserve units for an accepted blood request until they are dispatched
+ * (donationIds to reserve specific units; without them the allocation proposal is reserved)
+ */
+const reserveUnitsForRequest = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { donationIds } = req.body;
+  const maxDistanceKm = req.body.maxDistanceKm ? Number(req.body.maxDistanceKm) : undefined;
+  const actor = { entityId: req.ngo._id, entityType: 'NGO' };
+
+  const request = await BloodRequest.findOne({
+    _id: requestId,
+    ngoId: req.ngo._id
+  });
+
+  if (!request) {
+    throw new ApiError(404, "Blood request not found or you don't have permission to reserve units for it");
+  }
+
+  if (!RESERVABLE_REQUEST_STATUSES.includes(request.status)) {
+    throw new ApiError(409, `Units can only be reserved for requests that are ${RESERVABLE_REQUEST_STATUSES.join(', ')}`);
+  }
+
+  const hospital = await Hospital.findById(request.hospitalId).select('name address.location');
+  const proposal = await buildAllocationProposal(request, hospital, { maxDistanceKm });
+
+  let selectedIds;
+  if (Array.isArray(donationIds) && donationIds.length) {
+    selectedIds = [...new Set(donationIds.map(String))];
+  } else {
+    selectedIds = proposal.lines
+      .flatMap(line => line.units)
+      .filter(unit => !unit.reserved)
+      .map(unit => unit.donationId.toString());
+  }
+
+  if (!selectedIds.length) {
+    throw new ApiError(409, "No available units to reserve for this request");
+  }
+
+  const units = await BloodDonation.find({
+    _id: { $in: selectedIds },
+    ngoId: req.ngo._id
+  });
+
+  // Reservations may not exceed what is still outstanding per request line
+  const alreadyReserved = await BloodDonation.find({
+    _id: { $nin: selectedIds },
+    'reservation.requestId': request._id,
+    'reservation.expiresAt': { $gt: new Date() }
+  }).select('bloodGroup componentType');
+  // Units are reserved before the lab crossmatches them
+  const matchLine = createLineMatcher(request, proposal.lines, { requireCrossmatch: false });
+  sortByBestRank(request, alreadyReserved).forEach(unit => matchLine(unit));
+
+  const errors = [];
+  const matchable = [];
+  selectedIds.forEach(donationId => {
+    const unit = units.find(item => item._id.toString() === donationId);
+
+    if (!unit) {
+      errors.push({ donationId, message: "Blood unit not found or not collected by your NGO" });
+    } else if (unit.isReserved() && !unit.isReserved(request._id)) {
+      errors.push({ donationId, message: "Blood unit is already reserved for this request" });
+    } else {
+      matchable.push(unit);
+    }
+  });
+
+  sortByBestRank(request, matchable).forEach(unit => {
+    const donationId = unit._id.toString();
+    if (!matchLine(unit)) {
+      errors.push({ donationId, message: `Request has no outstanding line that ${unit.bloodGroup} ${unit.componentType} units can fill` });
+      return;
+    }
+    try {
+      unit.reserveFor(request._id, req.ngo.settings?.reservationHoldMinutes || 240, actor);
+    } catch (error) {
+      errors.push({ donationId, message: error.message });
+    }
+  });
+
+  if (errors.length) {
+    throw new ApiError(409, "Units cannot be reserved", errors);
+  }
+
+  const centerIds = new Set();
+  for (const unit of units) {
+    await unit.save();
+    if (unit.currentLocation.entityType === 'Center') {
+      centerIds.add(unit.currentLocation.entityId.toString());
+    }
+  }
+
+  // Reserved units no longer count as available
+  for (const centerId of centerIds) {
+    const center = await Center.findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      requestId: request._id,
+      reservedUnits: units.map(unit => ({
+        donationId: unit._id,
+        bloodGroup: unit.bloodGroup,
+        componentType: unit.componentType,
+        expiresAt: unit.reservation.expiresAt
+      }))
+    }, `${units.length} blood units reserved successfully`)
+  );
+});
+
+/**
+ * Get the units currently reserved for a blood request
+ */
+const getRequestReservations = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+
+  const request = await BloodRequest.findOne({
+    _id: requestId,
+    ngoId: req.ngo._id
+  }).select('_id status');
+
+  if (!request) {
+    throw new ApiError(404, "Blood request not found or you don't have permission to view it");
+  }
+
+  const units = await BloodDonation.find({
+    'reservation.requestId': request._id,
+    'reservation.expiresAt': { $gt: new Date() }
+  })
+    .select('bloodGroup componentType expiryDate currentLocation reservation')
+    .populate('currentLocation.entityId', 'name');
+
+  return res.status(200).json(
+    new ApiResponse(200, { request, units }, "Reserved units fetched successfully")
+  );
+});
+
+/**
+ * Release reservations held for a blood request (all of them, or the given donationIds)
+ */
+const releaseRequestReservations = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { donationIds } = req.body;
+
+  const invalidIds = Array.isArray(donationIds)
+    ? donationIds.filter(id => !mongoose.Types.ObjectId.isValid(id))
+    : [];
+  if (invalidIds.length) {
+    throw new ApiError(400, `Invalid donation ID format: ${invalidIds.join(', ')}`);
+  }
+
+  const request = await BloodRequest.findOne({
+    _id: requestId,
+    ngoId: req.ngo._id
+  }).select('_id');
+
+  if (!request) {
+    throw new ApiError(404, "Blood request not found or you don't have permission to update it");
+  }
+
+  const filter = { 'reservation.requestId': request._id };
+  if (Array.isArray(donationIds) && donationIds.length) {
+    filter._id = { $in: donationIds };
+  }
+
+  const releasedUnits = await BloodDonation.releaseReservations(filter);
+
+  return res.status(200).json(
+    new ApiResponse(200, { requestId: request._id, releasedUnits }, "Reservations released successfully")
+  );
+});
+
+/**
+ * Find an in-transit unit addressed to the logged-in NGO (or one of its centers) or hospital
+ */
+const findIncomingUnit = async (req, donationId) => {
+  let destinationIds;
+  if (req.hospital) {
+    destinationIds = [req.hospital._id];
+  } else {
+    const centerIds = await Center.find({ ngoId: req.ngo._id }).distinct('_id');
+    destinationIds = [req.ngo._id, ...centerIds];
+  }
+
+  const query = {
+    'currentLocation.inTransit': true,
+    'currentLocation.entityId': { $in: destinationIds }
+  };
+  if (donationId) query._id = donationId;
+
+  return donationId ? BloodDonation.findOne(query) : BloodDonation.find(query);
+};
+
+/**
+ * Confirm receipt of an in-transit blood unit (by the receiving NGO, center or hospital)
+ */
+const receiveBloodUnit = asyncHandler(async (req, res) => {
+  const { donationId } = req.params;
+  const { receiverName, inspectionResult, notes } = req.body;
+
+  if (!donationId || !receiverName || !inspectionResult) {
+    throw new ApiError(400, "Donation ID, receiver name and inspection result are required");
+  }
+
+  const donation = await findIncomingUnit(req, donationId);
+
+  if (!donation) {
+    throw new ApiError(404, "In-transit blood unit addressed to you not found");
+  }
+
+  await donation.receiveTransfer({
+    receiverName,
+    inspectionResult,
+    notes,
+    actor: req.hospital
+      ? { entityId: req.hospital._id, entityType: 'Hospital' }
+      : { entityId: req.ngo._id, entityType: 'NGO' }
+  });
+
+  // Received units now count towards the destination center's inventory
+  if (donation.currentLocation.entityType === 'Center') {
+    const center = await Center.findById(donation.currentLocation.entityId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  // A lent unit arriving completes its stock loan once every unit is in
+  const loan = await StockLoan.findOne({ status: 'Dispatched', 'units.donationId': donation._id });
+  if (loan) {
+    const loanUnit = loan.units.find(unit => unit.donationId.equals(donation._id));
+    loanUnit.receivedAt = new Date();
+    if (loan.isFullyReceived()) {
+      loan.status = 'Completed';
+      loan.completedAt = new Date();
+    }
+    await loan.save();
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      donation,
+      donation.status === 'quarantined'
+        ? "Blood unit received and quarantined after failed inspection"
+        : "Blood unit received successfully"
+    )
+  );
+});
+
+/**
+ * Get blood units in transit to the logged-in NGO (or its centers) or hospital
+ */
+const getIncomingTransfers = asyncHandler(async (req, res) => {
+  const units = await findIncomingUnit(req);
+
+  const transfers = units.map(unit => {
+    const transfer = unit.transferHistory[unit.transferHistory.length - 1];
+    return {
+      donationId: unit._id,
+      bloodGroup: unit.bloodGroup,
+      componentType: unit.componentType,
+      expiryDate: unit.expiryDate,
+      destination: unit.currentLocation,
+      from: { entityId: transfer.fromId, entityType: transfer.fromType },
+      dispatchedAt: transfer.transferDate,
+      courier: transfer.courier,
+      packingTemperature: transfer.packingTemperature,
+      reason: transfer.reason
+    };
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, transfers, "Incoming transfers fetched successfully")
+  );
+});
+
+/**
+ * Find an NGO's partially fulfilled request whose outstanding units can be closed out or forwarded
+ */
+const findPartiallyFulfilledRequest = async (requestId, ngoId) => {
+  const request = await BloodRequest.findOne({
+    _id: requestId,
+    ngoId
+  });
+
+  if (!request) {
+    throw new ApiError(404, "Blood request not found or you don't have permission to update it");
+  }
+
+  if (request.status !== 'Partially Fulfilled') {
+    throw new ApiError(409, `Only partially fulfilled requests can be closed out or forwarded (status: ${request.status})`);
+  }
+
+  return request;
+};
+
+/**
+ * Close out the outstanding units of a partially fulfilled request
+ * The request continues to delivery with the units already sent
+ */
+const closeOutBloodRequest = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { notes } = req.body;
+  const actor = { entityId: req.ngo._id, entityType: 'NGO' };
+
+  const request = await findPartiallyFulfilledRequest(requestId, req.ngo._id);
+
+  let closedOut = 0;
+  request.bloodGroups.forEach(line => {
+    const outstanding = request.getOutstandingUnits(line);
+    line.closedOutUnits = (line.closedOutUnits || 0) + outstanding;
+    closedOut += outstanding;
+  });
+
+  request.changeStatus('Processing', {
+    actor,
+    note: `Closed out ${closedOut} outstanding units${notes ? `: ${notes}` : ''}`
+  });
+  await request.save();
+
+  // Units held for the closed-out lines go back to stock
+  await BloodDonation.releaseReservations({ 'reservation.requestId': request._id });
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      request,
+      fulfilment: request.getFulfilmentSummary()
+    }, `${closedOut} outstanding units closed out`)
+  );
+});
+
+/**
+ * Forward the outstanding units of a partially fulfilled request to another NGO
+ * A new request for the outstanding units is created for the same hospital
+ */
+const forwardBloodRequest = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { ngoId, notes } = req.body;
+  const actor = { entityId: req.ngo._id, entityType: 'NGO' };
+
+  if (!ngoId) {
+    throw new ApiError(400, "NGO ID to forward the request to is required");
+  }
+
+  if (ngoId.toString() === req.ngo._id.toString()) {
+    throw new ApiError(400, "A request cannot be forwarded to your own NGO");
+  }
+
+  const targetNgo = await NGO.findOne({ _id: ngoId, isVerified: true }).select('name');
+  if (!targetNgo) {
+    throw new ApiError(404, "NGO not found or not verified");
+  }
+
+  const request = await findPartiallyFulfilledRequest(requestId, req.ngo._id);
+
+  const forwardedLines = request.bloodGroups
+    .map(line => ({
+      bloodGroup: line.bloodGroup,
+      units: request.getOutstandingUnits(line),
+      componentType: line.componentType,
+      acceptSubstitutes: line.acceptSubstitutes,
+      // The receiving NGO crossmatches against the same patient
+      patient: line.patient
+    }))
+    .filter(line => line.units > 0);
+
+  const forwarded = new BloodRequest({
+    hospitalId: request.hospitalId,
+    ngoId: targetNgo._id,
+    bloodGroups: forwardedLines,
+    urgencyLevel: request.urgencyLevel,
+    requestNotes: request.requestNotes,
+    status: 'Pending',
+    forwardedFrom: request._id
+  });
+  forwarded.$locals.statusActor = actor;
+  forwarded.$locals.statusNote = `Forwarded by ${req.ngo.name} from request ${request._id}${notes ? `: ${notes}` : ''}`;
+  await forwarded.save();
+
+  // The original request no longer owes the forwarded units
+  request.bloodGroups.forEach(line => {
+    line.closedOutUnits = (line.closedOutUnits || 0) + request.getOutstandingUnits(line);
+  });
+  request.forwardedTo = {
+    requestId: forwarded._id,
+    ngoId: targetNgo._id,
+    forwardedAt: new Date()
+  };
+  request.changeStatus('Processing', {
+    actor,
+    note: `Forwarded ${forwardedLines.reduce((sum, line) => sum + line.units, 0)} outstanding units to ${targetNgo.name}${notes ? `: ${notes}` : ''}`
+  });
+  await request.save();
+
+  await BloodDonation.releaseReservations({ 'reservation.requestId': request._id });
+
+  return res.status(201).json(
+    new ApiResponse(201, {
+      request,
+      forwardedRequest: forwarded
+    }, `Outstanding units forwarded to ${targetNgo.name}`)
+  );
+});
+
+/**
+ * Email the NGOs concerned with a request about a change the hospital made
+ * (the owning NGO, or broadcast NGOs that may still accept it)
+ */
+const notifyNGOsOfRequestChange = async (request, hospitalName, change, details) => {
+  const ngoIds = request.ngoId
+    ? [request.ngoId]
+    : (request.broadcast?.ngos || []).filter(item => item.response === 'Pending').map(item => item.ngoId);
+
+  const ngos = await NGO.find({ _id: { $in: ngoIds } }).select('name email');
+  for (const ngo of ngos) {
+    if (ngo.email) {
+      await sendRequestChangeEmail(ngo.email, ngo.name, hospitalName, request._id, change, details);
+    }
+  }
+};
+
+// Summary of request lines for notifications, e.g. "2 A+ PackedRedCells, 1 O-"
+const describeLines = (lines) => lines
+  .map(line => `${line.units} ${line.bloodGroup}${line.componentType ? ` ${line.componentType}` : ''}`)
+  .join(', ');
+
+/**
+ * Amend the lines of a pending blood request (by hospital)
+ * The previous lines are kept in the request's amendment history
+ */
+const amendBloodRequest = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { bloodGroups, reason } = req.body;
+
+  if (!Array.isArray(bloodGroups) || !bloodGroups.length) {
+    throw new ApiError(400, "Blood groups are required");
+  }
+
+  validateRequestLines(bloodGroups);
+
+  const request = await BloodRequest.findOne({
+    _id: requestId,
+    hospitalId: req.hospital._id
+  });
+
+  if (!request) {
+    throw new ApiError(404, "Blood request not found or you don't have permission to amend it");
+  }
+
+  if (request.status !== 'Pending') {
+    throw new ApiError(409, `Only pending requests can be amended (status: ${request.status})`);
+  }
+
+  const snapshot = (line) => ({
+    bloodGroup: line.bloodGroup,
+    units: line.units,
+    componentType: line.componentType,
+    acceptSubstitutes: Boolean(line.acceptSubstitutes)
+  });
+  const previousLines = request.bloodGroups.map(snapshot);
+
+  request.amendments.push({
+    previousLines,
+    newLines: bloodGroups.map(snapshot),
+    reason,
+    amendedAt: new Date()
+  });
+  request.bloodGroups = bloodGroups.map(line => ({ ...snapshot(line), patient: line.patient }));
+  await request.save();
+
+  await notifyNGOsOfRequestChange(
+    request,
+    req.hospital.name,
+    'amended',
+    `Previously: ${describeLines(previousLines)}. Now: ${describeLines(request.bloodGroups)}.${reason ? ` Reason: ${reason}` : ''}`
+  );
+
+  return res.status(200).json(
+    new ApiResponse(200, request, "Blood request amended successfully")
+  );
+});
+
+/**
+ * Cancel a blood request before it is dispatched (by hospital)
+ * Units reserved or assigned to the request are released back to available
+ */
+const cancelBloodRequest = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { reason } = req.body;
+  const actor = { entityId: req.hospital._id, entityType: 'Hospital' };
+
+  if (!reason?.trim()) {
+    throw new ApiError(400, "A reason is required to cancel a blood request");
+  }
+
+  const request = await BloodRequest.findOne({
+    _id: requestId,
+    hospitalId: req.hospital._id
+  });
+
+  if (!request) {
+    throw new ApiError(404, "Blood request not found or you don't have permission to cancel it");
+  }
+
+  // Requests can be cancelled up to dispatch
+  if (!request.getAllowedTransitions('Hospital').includes('Cancelled')) {
+    throw new ApiError(409, `Only requests that have not been dispatched can be cancelled (status: ${request.status})`);
+  }
+
+  request.changeStatus('Cancelled', { actor, note: reason });
+  await request.save();
+
+  // Reserved units go back to stock
+  const releasedReservations = await BloodDonation.releaseReservations({ 'reservation.requestId': request._id });
+
+  // Units already sent for the request are called back to their centers
+  const assignedUnits = await BloodDonation.find({ requestId: request._id, status: 'assigned' });
+  const returnedUnits = [];
+  const keptUnits = [];
+  const centerIds = new Set();
+  for (const unit of assignedUnits) {
+    if (!unit.currentLocation.inTransit) {
+      // Already received by the hospital
+      keptUnits.push(unit._id);
+      continue;
+    }
+    await unit.returnToSender({ reason: `Blood request ${request._id} cancelled: ${reason}`, actor });
+    returnedUnits.push(unit._id);
+    if (unit.currentLocation.entityType === 'Center') {
+      centerIds.add(unit.currentLocation.entityId.toString());
+    }
+  }
+
+  for (const centerId of centerIds) {
+    const center = await Center.findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  await notifyNGOsOfRequestChange(request, req.hospital.name, 'cancelled', `Reason: ${reason}`);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      request,
+      releasedReservations,
+      returnedUnits,
+      keptUnits
+    }, "Blood request cancelled successfully")
   );
 });
 
@@ -186,23 +1308,43 @@ const transferBloodUnit = asyncHandler(async (req, res) => {
  * Get blood requests for an NGO
  */
 const getNGOBloodRequests = asyncHandler(async (req, res) => {
-  const { status, urgencyLevel, page = 1, limit = 10 } = req.query;
+  const { status, urgencyLevel, includeTimeline, page = 1, limit = 10 } = req.query;
   const ngoId = req.ngo._id;
   const skip = (page - 1) * limit;
 
-  // Build query
-  const query = { ngoId };
+  // Build query (including emergency broadcasts sent to the NGO)
+  const query = { $or: [{ ngoId }, { 'broadcast.ngos.ngoId': ngoId }] };
 
   if (status) query.status = status;
   if (urgencyLevel) query.urgencyLevel = urgencyLevel;
 
   // Execute query with pagination
-  const requests = await BloodRequest.find(query)
+  const results = await BloodRequest.find(query)
+    .select(includeTimeline === 'true' ? '' : '-timeline')
     .sort({ updatedAt: -1 })
     .skip(skip)
     .limit(limit)
     .populate('hospitalId', 'name contactPerson.name address.city');
 
+  // NGOs only see their own broadcast response; a broadcast another NGO accepted shows as taken
+  // Patient details stay hidden until the NGO is the one supplying the request
+  const requests = results.map(result => {
+    if (!result.broadcast?.ngos?.length) return result;
+
+    const request = result.ngoId?.equals(ngoId) ? result.toObject() : withoutPatientData(result);
+    const ownResponse = request.broadcast.ngos.find(item => item.ngoId.equals(ngoId));
+    request.broadcast = {
+      radiusKm: request.broadcast.radiusKm,
+      acceptedAt: request.broadcast.acceptedAt,
+      ngos: ownResponse ? [ownResponse] : []
+    };
+    request.takenByAnotherNgo = Boolean(request.ngoId) && !request.ngoId.equals(ngoId);
+    if (request.takenByAnotherNgo) {
+      delete request.ngoId;
+    }
+    return request;
+  });
+
   // Get total count for pagination
   const totalRequests = await BloodRequest.countDocuments(query);
 
@@ -224,7 +1366,7 @@ const getNGOBloodRequests = asyncHandler(async (req, res) => {
  * Get blood requests for a hospital
  */
 const getHospitalBloodRequests = asyncHandler(async (req, res) => {
-  const { status, urgencyLevel, page = 1, limit = 10 } = req.query;
+  const { status, urgencyLevel, includeTimeline, page = 1, limit = 10 } = req.query;
   const hospitalId = req.hospital._id;
   const skip = (page - 1) * limit;
 
@@ -236,10 +1378,12 @@ const getHospitalBloodRequests = asyncHandler(async (req, res) => {
 
   // Execute query with pagination
   const requests = await BloodRequest.find(query)
+    .select(includeTimeline === 'true' ? '' : '-timeline')
     .sort({ updatedAt: -1 })
     .skip(skip)
     .limit(limit)
-    .populate('ngoId', 'name contactPerson.name');
+    .populate('ngoId', 'name contactPerson.name')
+    .populate('broadcast.ngos.ngoId', 'name contactPerson.name contactPerson.phone');
 
   // Get total count for pagination
   const totalRequests = await BloodRequest.countDocuments(query);
@@ -263,11 +1407,16 @@ const getHospitalBloodRequests = asyncHandler(async (req, res) => {
  */
 const confirmBloodDelivery = asyncHandler(async (req, res) => {
   const { requestId } = req.params;
-  const { receivedBy, notes, confirmationCode } = req.body;
+  const { receivedBy, notes, deliveryCode, inspectionResult = 'Acceptable' } = req.body;
   const hospitalId = req.hospital._id;
+  const actor = { entityId: hospitalId, entityType: 'Hospital' };
 
-  if (!requestId || !receivedBy) {
-    throw new ApiError(400, "Request ID and receiver name are required");
+  if (!requestId || !receivedBy || !deliveryCode) {
+    throw new ApiError(400, "Request ID, receiver name and delivery code are required");
+  }
+
+  if (!INSPECTION_RESULTS.includes(inspectionResult)) {
+    throw new ApiError(400, `Inspection result must be one of: ${INSPECTION_RESULTS.join(', ')}`);
   }
 
   // Find request and check if it belongs to the hospital
@@ -275,39 +1424,90 @@ const confirmBloodDelivery = asyncHandler(async (req, res) => {
     _id: requestId,
     hospitalId,
     status: 'En Route'
-  });
+  }).select('+deliveryCode.codeHash');
 
   if (!request) {
     throw new ApiError(404, "Blood request not found or not in delivery status");
   }
 
+  // Wrong codes are logged on the request and lock confirmation after repeated failures
+  const { valid, attemptsLeft, lockedUntil } = await request.verifyDeliveryCode(deliveryCode, {
+    receivedBy,
+    ip: req.ip
+  });
+
+  if (!valid) {
+    await request.save();
+    throw new ApiError(
+      lockedUntil ? 429 : 400,
+      lockedUntil
+        ? `Wrong delivery code. Confirmation is locked until ${lockedUntil.toISOString()}`
+        : `Wrong delivery code. ${attemptsLeft} attempts left`
+    );
+  }
+
+  // Receive the units before the request is marked delivered and the code is used up,
+  // so a failure leaves the request En Route and the hospital can retry with the same code
+  // (units received by an earlier attempt are no longer in transit and are skipped)
+  const donationIds = [
+    ...request.bloodGroups.flatMap(line => line.donationIds),
+    ...(request.allocation?.units || []).map(unit => unit.donationId)
+  ];
+  const units = await BloodDonation.find({
+    _id: { $in: donationIds },
+    'currentLocation.entityId': hospitalId,
+    'currentLocation.entityType': 'Hospital',
+    'currentLocation.inTransit': true
+  });
+
+  for (const unit of units) {
+    await unit.receiveTransfer({ receiverName: receivedBy, inspectionResult, notes, actor });
+  }
+
   // Update delivery details
-  request.status = 'Delivered';
+  request.changeStatus('Delivered', {
+    actor,
+    note: notes ? `Received by ${receivedBy}: ${notes}` : `Received by ${receivedBy}`
+  });
   request.deliveryDetails = {
     ...request.deliveryDetails,
     actualDeliveryTime: new Date(),
-    receivedBy,
-    confirmationCode: confirmationCode || Math.random().toString(36).substring(2, 8).toUpperCase()
+    receivedBy
   };
 
-  if (notes) {
-    request.requestNotes = request.requestNotes 
-      ? `${request.requestNotes}\n\nReceived: ${notes}`
-      : `Received: ${notes}`;
-  }
-
   await request.save();
 
   return res.status(200).json(
-    new ApiResponse(200, request, "Blood delivery confirmed successfully")
+    new ApiResponse(200, {
+      request: withoutCodeHash(request),
+      receivedUnits: units.map(unit => ({
+        donationId: unit._id,
+        bloodGroup: unit.bloodGroup,
+        componentType: unit.componentType,
+        status: unit.status
+      }))
+    }, "Blood delivery confirmed successfully")
   );
 });
 
 export {
   createBloodRequest,
+  respondToBroadcastRequest,
   updateBloodRequestStatus,
   transferBloodUnit,
+  receiveBloodUnit,
+  getIncomingTransfers,
+  proposeAllocation,
+  commitAllocation,
+  reserveUnitsForRequest,
+  getRequestReservations,
+  releaseRequestReservations,
+  closeOutBloodRequest,
+  forwardBloodRequest,
+  amendBloodRequest,
+  cancelBloodRequest,
   getNGOBloodRequests,
   getHospitalBloodRequests,
+  reissueDeliveryCode,
   confirmBloodDelivery
 };
\ No newline at end of file
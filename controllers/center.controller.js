@@ -3,6 +3,7 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Center, DonationCamp, BloodBank } from "../models/center.models.js";
+import InventorySnapshot from "../models/inventorySnapshot.models.js";
 
 /**
  * Add a new center (blood bank or donation camp)
@@ -177,6 +178,40 @@ const getCenterById = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Get daily inventory snapshots for a center as a time series
+ */
+const getCenterInventoryHistory = asyncHandler(async (req, res) => {
+  const { centerId } = req.params;
+  const { bloodGroup, from, to, minUnits } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(centerId)) {
+    throw new ApiError(400, "Invalid center ID format");
+  }
+
+  const center = await Center.findOne({
+    _id: centerId,
+    ngoId: req.ngo._id
+  }).select('name type');
+
+  if (!center) {
+    throw new ApiError(404, "Center not found or you don't have permission to view it");
+  }
+
+  const filter = { centerId: center._id };
+  if (bloodGroup) filter.bloodGroup = bloodGroup;
+
+  const history = await InventorySnapshot.getTimeSeries(filter, {
+    from,
+    to,
+    minUnits: minUnits ?? req.ngo.settings?.minBloodLevelAlert
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, { center, ...history }, "Center inventory history fetched successfully")
+  );
+});
+
 /**
  * Get all centers for an NGO with optional filtering
  */
@@ -222,5 +257,6 @@ export {
   addCenter,
   deleteCenter,
   getCenterById,
+  getCenterInventoryHistory,
   getAllCenters
 };
\ No newline at end of file
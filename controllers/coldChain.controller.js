@@ -0,0 +1,451 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import BloodDonation, { COMPONENT_STORAGE_RANGES } from "../models/blood.models.js";
+import { Center } from "../models/center.models.js";
+import StorageUnit from "../models/storageUnit.models.js";
+import TemperatureReading from "../models/temperatureReading.models.js";
+import ExcursionIncident from "../models/excursionIncident.models.js";
+import { parseCSV } from "../utils/csv.js";
+
+// Units in these states are physically in storage
+const STORED_STATUSES = ['processing', 'available', 'quarantined'];
+
+/**
+ * Register a refrigerator, freezer or platelet incubator at a center
+ */
+const registerStorageUnit = asyncHandler(async (req, res) => {
+  const { centerId, name, type, serialNumber, probeId } = req.body;
+
+  if (!centerId || !name || !type) {
+    throw new ApiError(400, "Center ID, name and type are required");
+  }
+
+  // Check if center exists and belongs to the NGO making the request
+  const center = await Center.findOne({
+    _id: centerId,
+    ngoId: req.ngo._id
+  });
+
+  if (!center) {
+    throw new ApiError(404, "Center not found or you don't have permission to add storage to it");
+  }
+
+  if (probeId && await StorageUnit.exists({ probeId })) {
+    throw new ApiError(409, "A storage unit with this probe ID already exists");
+  }
+
+  const storageUnit = await StorageUnit.create({
+    centerId,
+    ngoId: req.ngo._id,
+    name,
+    type,
+    serialNumber,
+    probeId
+  });
+
+  return res.status(201).json(
+    new ApiResponse(201, storageUnit, "Storage unit registered successfully")
+  );
+});
+
+/**
+ * Get storage units for an NGO with the number of units stored in each
+ */
+const getStorageUnits = asyncHandler(async (req, res) => {
+  const { centerId } = req.query;
+
+  const query = { ngoId: req.ngo._id };
+  if (centerId) query.centerId = centerId;
+
+  const storageUnits = await StorageUnit.find(query)
+    .sort({ createdAt: -1 })
+    .populate('centerId', 'name type');
+
+  const storedCounts = await BloodDonation.aggregate([
+    {
+      $match: {
+        storageUnitId: { $in: storageUnits.map(unit => unit._id) },
+        status: { $in: STORED_STATUSES }
+      }
+    },
+    { $group: { _id: "$storageUnitId", count: { $sum: 1 } } }
+  ]);
+
+  const result = storageUnits.map(unit => ({
+    ...unit.toObject(),
+    storedUnits: storedCounts.find(item => item._id.equals(unit._id))?.count || 0
+  }));
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Storage units fetched successfully")
+  );
+});
+
+/**
+ * Assign blood units to a storage unit
+ */
+const assignUnitsToStorage = asyncHandler(async (req, res) => {
+  const { storageUnitId } = req.params;
+  const { donationIds } = req.body;
+
+  if (!Array.isArray(donationIds) || !donationIds.length) {
+    throw new ApiError(400, "At least one donation ID is required");
+  }
+
+  const storageUnit = await StorageUnit.findOne({
+    _id: storageUnitId,
+    ngoId: req.ngo._id
+  });
+
+  if (!storageUnit) {
+    throw new ApiError(404, "Storage unit not found or you don't have permission to use it");
+  }
+
+  if (storageUnit.status === 'Out of Service') {
+    throw new ApiError(400, "Storage unit is out of service");
+  }
+
+  // Units must be held at (and have been received by) the center the storage unit is installed in
+  const units = await BloodDonation.find({
+    _id: { $in: donationIds },
+    ngoId: req.ngo._id,
+    status: { $in: STORED_STATUSES },
+    'currentLocation.entityId': storageUnit.centerId,
+    'currentLocation.inTransit': { $ne: true }
+  });
+
+  if (units.length !== donationIds.length) {
+    const foundIds = units.map(unit => unit._id.toString());
+    throw new ApiError(
+      400,
+      "Some units were not found, are not in storage, or are not held at this storage unit's center",
+      donationIds.filter(id => !foundIds.includes(id.toString())).map(id => ({ donationId: id }))
+    );
+  }
+
+  await BloodDonation.updateMany(
+    { _id: { $in: units.map(unit => unit._id) } },
+    { $set: { storageUnitId: storageUnit._id } }
+  );
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      storageUnitId: storageUnit._id,
+      assignedUnits: units.length
+    }, "Blood units assigned to storage successfully")
+  );
+});
+
+/**
+ * Ingest temperature readings from a probe gateway
+ * Accepts a JSON array (or { readings: [...] }) or CSV text with
+ * storageUnitId or probeId, temperature and recordedAt columns
+ */
+const ingestTemperatureReadings = asyncHandler(async (req, res) => {
+  let rows;
+  if (typeof req.body === 'string') {
+    rows = parseCSV(req.body);
+  } else if (Array.isArray(req.body)) {
+    rows = req.body;
+  } else {
+    rows = req.body?.readings;
+  }
+
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new ApiError(400, "At least one temperature reading is required");
+  }
+
+  const storageUnits = await StorageUnit.find({ ngoId: req.ngo._id });
+  const errors = [];
+  const validReadings = [];
+
+  // Validate readings and resolve their storage unit
+  rows.forEach((row, index) => {
+    const storageUnit = storageUnits.find(unit =>
+      (row.storageUnitId && unit._id.toString() === String(row.storageUnitId)) ||
+      (row.probeId && unit.probeId === String(row.probeId))
+    );
+    const temperature = Number(row.temperature);
+    const recordedAt = row.recordedAt ? new Date(row.recordedAt) : new Date();
+
+    if (!storageUnit) {
+      errors.push({ row: index + 1, message: "Unknown storage unit or probe" });
+    } else if (row.temperature === undefined || row.temperature === '' || Number.isNaN(temperature)) {
+      errors.push({ row: index + 1, message: "Temperature must be a number" });
+    } else if (Number.isNaN(recordedAt.getTime())) {
+      errors.push({ row: index + 1, message: "Invalid recordedAt timestamp" });
+    } else {
+      validReadings.push({ storageUnit, temperature, recordedAt, probeId: row.probeId });
+    }
+  });
+
+  // Process readings in time order per storage unit
+  validReadings.sort((a, b) => a.recordedAt - b.recordedAt);
+
+  const readingDocs = [];
+  const incidentsTouched = new Map();
+  // Stored units per storage unit, loaded once for the whole batch
+  const storedUnitsByStorage = new Map();
+
+  for (const reading of validReadings) {
+    const { storageUnit, temperature, recordedAt } = reading;
+    const storageKey = storageUnit._id.toString();
+
+    if (!storedUnitsByStorage.has(storageKey)) {
+      storedUnitsByStorage.set(storageKey, await BloodDonation.find({
+        storageUnitId: storageUnit._id,
+        status: { $in: STORED_STATUSES }
+      }).select('bloodGroup componentType transferHold'));
+    }
+    const storedUnits = storedUnitsByStorage.get(storageKey);
+
+    // Units whose component range this reading breaches
+    const breachedUnits = storedUnits.filter(unit => {
+      const range = COMPONENT_STORAGE_RANGES[unit.componentType || 'WholeBlood'];
+      return temperature < range.min || temperature > range.max;
+    });
+
+    let incident = null;
+
+    if (breachedUnits.length) {
+      incident = incidentsTouched.get(storageUnit._id.toString()) ||
+        await ExcursionIncident.findOne({ storageUnitId: storageUnit._id, status: 'Open' });
+
+      if (!incident) {
+        incident = new ExcursionIncident({
+          storageUnitId: storageUnit._id,
+          centerId: storageUnit.centerId,
+          ngoId: req.ngo._id,
+          startedAt: recordedAt,
+          minTemperature: temperature,
+          maxTemperature: temperature
+        });
+      }
+
+      incident.lastExcursionAt = recordedAt;
+      incident.excursionReadings += 1;
+      incident.minTemperature = Math.min(incident.minTemperature ?? temperature, temperature);
+      incident.maxTemperature = Math.max(incident.maxTemperature ?? temperature, temperature);
+
+      const listedIds = incident.affectedUnits.map(item => item.donationId.toString());
+      breachedUnits
+        .filter(unit => !listedIds.includes(unit._id.toString()))
+        .forEach(unit => {
+          incident.affectedUnits.push({
+            donationId: unit._id,
+            bloodGroup: unit.bloodGroup,
+            componentType: unit.componentType,
+            allowedRange: COMPONENT_STORAGE_RANGES[unit.componentType || 'WholeBlood']
+          });
+        });
+
+      await incident.save();
+      incidentsTouched.set(storageUnit._id.toString(), incident);
+
+      // Block the affected units from transfer until a supervisor releases them
+      await BloodDonation.updateMany(
+        { _id: { $in: breachedUnits.map(unit => unit._id) }, 'transferHold.incidentId': { $exists: false } },
+        {
+          $set: {
+            transferHold: {
+              incidentId: incident._id,
+              reason: `Temperature excursion in ${storageUnit.name}`,
+              placedAt: new Date()
+            }
+          }
+        }
+      );
+
+      storageUnit.status = 'Excursion';
+    }
+
+    readingDocs.push({
+      storageUnitId: storageUnit._id,
+      ngoId: req.ngo._id,
+      temperature,
+      recordedAt,
+      probeId: reading.probeId,
+      withinRange: storedUnits.length ? !breachedUnits.length : undefined,
+      incidentId: incident?._id
+    });
+
+    if (!storageUnit.lastReading?.recordedAt || storageUnit.lastReading.recordedAt <= recordedAt) {
+      storageUnit.lastReading = { temperature, recordedAt };
+    }
+  }
+
+  if (readingDocs.length) {
+    await TemperatureReading.insertMany(readingDocs);
+  }
+
+  // Persist latest readings and excursion status on the storage units
+  for (const storageUnit of storageUnits) {
+    if (storageUnit.isModified()) {
+      await storageUnit.save();
+    }
+  }
+
+  // Units on hold no longer count as available at their center
+  for (const incident of incidentsTouched.values()) {
+    const center = await Center.findById(incident.centerId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      received: rows.length,
+      recorded: readingDocs.length,
+      excursions: readingDocs.filter(reading => reading.withinRange === false).length,
+      incidents: [...incidentsTouched.values()].map(incident => ({
+        incidentId: incident._id,
+        storageUnitId: incident.storageUnitId,
+        affectedUnits: incident.affectedUnits.length
+      })),
+      errors
+    }, "Temperature readings ingested successfully")
+  );
+});
+
+/**
+ * Get temperature readings for a storage unit
+ */
+const getTemperatureReadings = asyncHandler(async (req, res) => {
+  const { storageUnitId } = req.params;
+  const { from, to, limit = 500 } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(storageUnitId)) {
+    throw new ApiError(400, "Invalid storage unit ID format");
+  }
+
+  const storageUnit = await StorageUnit.findOne({
+    _id: storageUnitId,
+    ngoId: req.ngo._id
+  });
+
+  if (!storageUnit) {
+    throw new ApiError(404, "Storage unit not found or you don't have permission to view it");
+  }
+
+  const query = { storageUnitId };
+  if (from || to) {
+    query.recordedAt = {};
+    if (from) query.recordedAt.$gte = new Date(from);
+    if (to) query.recordedAt.$lte = new Date(to);
+  }
+
+  const readings = await TemperatureReading.find(query)
+    .sort({ recordedAt: -1 })
+    .limit(parseInt(limit));
+
+  return res.status(200).json(
+    new ApiResponse(200, { storageUnit, readings }, "Temperature readings fetched successfully")
+  );
+});
+
+/**
+ * Get excursion incidents for an NGO
+ */
+const getExcursionIncidents = asyncHandler(async (req, res) => {
+  const { status, centerId } = req.query;
+
+  const query = { ngoId: req.ngo._id };
+  if (status) query.status = status;
+  if (centerId) query.centerId = centerId;
+
+  const incidents = await ExcursionIncident.find(query)
+    .sort({ startedAt: -1 })
+    .populate('storageUnitId', 'name type')
+    .populate('centerId', 'name')
+    .populate('affectedUnits.donationId', 'bloodGroup componentType status expiryDate');
+
+  return res.status(200).json(
+    new ApiResponse(200, incidents, "Excursion incidents fetched successfully")
+  );
+});
+
+/**
+ * Resolve an excursion incident (by supervisor)
+ * Release puts the units back into circulation, Discard discards them
+ */
+const resolveExcursionIncident = asyncHandler(async (req, res) => {
+  const { incidentId } = req.params;
+  const { decision, supervisorName, notes, disposalMethod } = req.body;
+
+  if (!['Release', 'Discard'].includes(decision) || !supervisorName) {
+    throw new ApiError(400, "Decision ('Release' or 'Discard') and supervisor name are required");
+  }
+
+  const incident = await ExcursionIncident.findOne({
+    _id: incidentId,
+    ngoId: req.ngo._id,
+    status: 'Open'
+  });
+
+  if (!incident) {
+    throw new ApiError(404, "Open excursion incident not found");
+  }
+
+  const units = await BloodDonation.find({ 'transferHold.incidentId': incident._id });
+
+  for (const unit of units) {
+    unit.transferHold = undefined;
+    if (decision === 'Discard' && unit.getAllowedTransitions().includes('discarded')) {
+      unit.discardUnit({
+        reasonCode: 'Temperature Excursion',
+        details: notes,
+        disposalMethod,
+        approvedBy: supervisorName,
+        actor: { entityId: req.ngo._id, entityType: 'NGO' }
+      });
+    }
+    await unit.save();
+  }
+
+  incident.status = 'Resolved';
+  incident.resolution = {
+    decision,
+    supervisorName,
+    notes,
+    resolvedAt: new Date()
+  };
+  await incident.save();
+
+  // Storage unit is back to normal once no incident is open
+  const openIncidents = await ExcursionIncident.countDocuments({
+    storageUnitId: incident.storageUnitId,
+    status: 'Open'
+  });
+  if (!openIncidents) {
+    await StorageUnit.updateOne(
+      { _id: incident.storageUnitId, status: 'Excursion' },
+      { $set: { status: 'Active' } }
+    );
+  }
+
+  // Released units become available again and discarded units leave the inventory
+  const center = await Center.findById(incident.centerId);
+  if (center) {
+    await center.updateBloodInventory();
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      incident,
+      unitsAffected: units.length
+    }, `Excursion incident resolved: units ${decision === 'Release' ? 'released' : 'discarded'}`)
+  );
+});
+
+export {
+  registerStorageUnit,
+  getStorageUnits,
+  assignUnitsToStorage,
+  ingestTemperatureReadings,
+  getTemperatureReadings,
+  getExcursionIncidents,
+  resolveExcursionIncident
+};
@@ -1,8 +1,11 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { calculateDistance } from "../utils/geo.js";
+import { getCompatibleDonorGroups } from "../utils/bloodCompatibility.js";
 import Hospital from "../models/hospital.models.js";
 import NGO from "../models/ngo.models.js";
+import BloodDonation, { COMPONENT_TYPES } from "../models/blood.models.js";
 import jwt from "jsonwebtoken";
 import BloodRequest from "../models/bloodrequest.models.js";
 
@@ -310,7 +313,11 @@ const updateBloodRequirements = asyncHandler(async (req, res) => {
  * Find nearby NGOs for blood requests
  */
 const findNearbyNGOs = asyncHandler(async (req, res) => {
-  const { distance = 10 } = req.query; // Distance in kilometers
+  const { distance = 10, componentType = 'PackedRedCells' } = req.query; // Distance in kilometers
+  
+  if (!COMPONENT_TYPES.includes(componentType)) {
+    throw new ApiError(400, `Component type must be one of: ${COMPONENT_TYPES.join(', ')}`);
+  }
   
   const hospital = await Hospital.findById(req.hospital._id);
   if (!hospital || !hospital.address?.location?.coordinates) {
@@ -318,30 +325,58 @@ const findNearbyNGOs = asyncHandler(async (req, res) => {
   }
   
   // Find NGOs using geospatial query
-  const nearbyNGOs = await NGO.find({
-    'address.location': {
-      $near: {
-        $geometry: hospital.address.location,
-        $maxDistance: distance * 1000 // Convert to meters
+  const nearbyNGOs = await NGO.findVerifiedNear(hospital.address.location, distance)
+    .select("name contactPerson address facilities bloodInventory");
+  
+  // Allocatable units of the searched component per NGO and blood group, counted from
+  // the units themselves (each NGO's bloodInventory adds up every component)
+  const now = new Date();
+  const componentStock = await BloodDonation.aggregate([
+    {
+      $match: {
+        ngoId: { $in: nearbyNGOs.map(ngo => ngo._id) },
+        componentType,
+        status: 'available',
+        expiryDate: { $gt: now },
+        'transferHold.incidentId': { $exists: false },
+        'currentLocation.inTransit': { $ne: true },
+        'reservation.expiresAt': { $not: { $gt: now } }
       }
     },
-    isVerified: true
-  }).select("name contactPerson address facilities bloodInventory");
+    { $group: { _id: { ngoId: '$ngoId', bloodGroup: '$bloodGroup' }, units: { $sum: 1 } } }
+  ]);
+  const componentUnits = new Map(
+    componentStock.map(row => [`${row._id.ngoId}:${row._id.bloodGroup}`, row.units])
+  );
   
   // Get blood inventory status for each NGO
   const ngosWithBloodStatus = nearbyNGOs.map(ngo => {
     const ngoData = ngo.toObject();
     // Check if NGO has blood groups that hospital requires
     const availableBloodTypes = {};
+    // Blood groups that could substitute for each requirement, in order of preference
+    const compatibleBloodTypes = {};
     
     hospital.bloodRequirements.forEach(req => {
       const ngoBlood = ngo.bloodInventory.find(b => b.bloodGroup === req.bloodGroup);
       availableBloodTypes[req.bloodGroup] = ngoBlood ? ngoBlood.units : 0;
+      
+      compatibleBloodTypes[req.bloodGroup] = getCompatibleDonorGroups(req.bloodGroup, componentType, {
+        urgencyLevel: req.urgencyLevel
+      })
+        .map(({ bloodGroup, rank, exact }) => ({
+          bloodGroup,
+          rank,
+          exact,
+          units: componentUnits.get(`${ngo._id}:${bloodGroup}`) || 0
+        }))
+        .filter(option => option.units > 0);
     });
     
     return {
       ...ngoData,
       availableBloodTypes,
+      compatibleBloodTypes,
       distance: calculateDistance(
         hospital.address.location.coordinates,
         ngo.address.location.coordinates
@@ -368,13 +403,18 @@ const getBloodRequestHistory = asyncHandler(async (req, res) => {
   const query = { hospitalId: req.hospital._id };
   if (status) query.status = status;
   
-  // Get requests with pagination
-  const requests = await BloodRequest.find(query)
+  // Get requests with pagination, with fulfilled against requested units per line
+  const results = await BloodRequest.find(query)
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
     .populate('ngoId', 'name contactPerson.name contactPerson.phone');
   
+  const requests = results.map(request => ({
+    ...request.toObject(),
+    fulfilment: request.getFulfilmentSummary()
+  }));
+  
   // Get total count
   const totalRequests = await BloodRequest.countDocuments(query);
   
@@ -383,8 +423,10 @@ const getBloodRequestHistory = asyncHandler(async (req, res) => {
     total: totalRequests,
     pending: await BloodRequest.countDocuments({ hospitalId: req.hospital._id, status: 'Pending' }),
     accepted: await BloodRequest.countDocuments({ hospitalId: req.hospital._id, status: 'Accepted' }),
+    partiallyFulfilled: await BloodRequest.countDocuments({ hospitalId: req.hospital._id, status: 'Partially Fulfilled' }),
     completed: await BloodRequest.countDocuments({ hospitalId: req.hospital._id, status: 'Completed' }),
-    rejected: await BloodRequest.countDocuments({ hospitalId: req.hospital._id, status: 'Rejected' })
+    rejected: await BloodRequest.countDocuments({ hospitalId: req.hospital._id, status: 'Rejected' }),
+    cancelled: await BloodRequest.countDocuments({ hospitalId: req.hospital._id, status: 'Cancelled' })
   };
   
   return res.status(200).json(
@@ -451,25 +493,6 @@ const connectWithNGO = asyncHandler(async (req, res) => {
   );
 });
 
-// Utility function to calculate distance between two coordinates
-function calculateDistance(coords1, coords2) {
-  // Simple distance calculation - would use a proper geospatial library in production
-  const R = 6371; // Radius of the earth in km
-  const dLat = deg2rad(coords2[1] - coords1[1]);
-  const dLon = deg2rad(coords2[0] - coords1[0]);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(deg2rad(coords1[1])) * Math.cos(deg2rad(coords2[1])) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2); 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
-  const distance = R * c; // Distance in km
-  return distance;
-}
-
-function deg2rad(deg) {
-  return deg * (Math.PI/180);
-}
-
 export {
   registerHospital,
   verifyHospitalEmail,
@@ -0,0 +1,370 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import BloodDonation from "../models/blood.models.js";
+import LabResult, { REQUIRED_SCREENING_TESTS, SCREENING_RESULTS } from "../models/labResult.models.js";
+import BloodRequest, {
+  CROSSMATCH_RESULTS,
+  CROSSMATCH_METHODS,
+  CROSSMATCH_SAMPLE_VALID_HOURS
+} from "../models/bloodrequest.models.js";
+import { isCompatible, lineAcceptsComponent } from "../utils/bloodCompatibility.js";
+import { Center } from "../models/center.models.js";
+import User from "../models/user.models.js";
+
+/**
+ * Discard every unit from a donation (and its components) after a reactive result
+ */
+const discardReactiveUnits = async (donation, labResult, ngoId, approvedBy) => {
+  const reactiveTests = Object.values(labResult.getLatestResults())
+    .filter(entry => entry.result === 'Reactive')
+    .map(entry => entry.test);
+
+  const units = await BloodDonation.find({
+    $or: [{ _id: donation._id }, { parentDonationId: donation._id }],
+    status: { $in: ['processing', 'available', 'quarantined'] }
+  });
+
+  const centerIds = new Set();
+  for (const unit of units) {
+    unit.discardUnit({
+      reasonCode: 'Reactive Screening',
+      details: reactiveTests.join(', '),
+      approvedBy,
+      actor: { entityId: ngoId, entityType: 'NGO' }
+    });
+    await unit.save();
+
+    if (unit.currentLocation.entityType === 'Center') {
+      centerIds.add(unit.currentLocation.entityId.toString());
+    }
+  }
+
+  // Update inventory of the centers holding the discarded units
+  for (const centerId of centerIds) {
+    const center = await Center.findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  // Flag the donor so no further donations are accepted
+  await User.findByIdAndUpdate(donation.userId, {
+    $set: {
+      donorDeferral: {
+        isDeferred: true,
+        reason: `Reactive screening result: ${reactiveTests.join(', ')}`,
+        deferredAt: new Date(),
+        labResultId: labResult._id
+      }
+    }
+  });
+
+  return units.length;
+};
+
+/**
+ * Record screening and ABO/Rh typing results for a donation
+ * (Used by NGO lab staff)
+ */
+const recordLabResults = asyncHandler(async (req, res) => {
+  const { donationId } = req.params;
+  const { tests = [], bloodGroup, enteredBy } = req.body;
+
+  if (!donationId || !enteredBy) {
+    throw new ApiError(400, "Donation ID and the name of the staff member entering results are required");
+  }
+
+  if (!Array.isArray(tests) || (!tests.length && !bloodGroup)) {
+    throw new ApiError(400, "At least one test result or a confirmatory blood group is required");
+  }
+
+  // Validate test results
+  tests.forEach(item => {
+    if (!REQUIRED_SCREENING_TESTS.includes(item.test)) {
+      throw new ApiError(400, `Test must be one of: ${REQUIRED_SCREENING_TESTS.join(', ')}`);
+    }
+    if (!SCREENING_RESULTS.includes(item.result)) {
+      throw new ApiError(400, `Result must be one of: ${SCREENING_RESULTS.join(', ')}`);
+    }
+  });
+
+  // Find donation and check if it belongs to the NGO
+  const donation = await BloodDonation.findOne({
+    _id: donationId,
+    ngoId: req.ngo._id
+  });
+
+  if (!donation) {
+    throw new ApiError(404, "Blood donation not found or you don't have permission to record results for it");
+  }
+
+  // Screening is done on the donor sample, so results belong to the whole-blood donation
+  if (donation.parentDonationId) {
+    throw new ApiError(400, "Record lab results against the original whole-blood donation, not a component");
+  }
+
+  let labResult = await LabResult.findOne({ donationId });
+  if (!labResult) {
+    labResult = new LabResult({
+      donationId,
+      ngoId: req.ngo._id,
+      userId: donation.userId
+    });
+  }
+
+  const staff = { ngoId: req.ngo._id, name: enteredBy };
+
+  tests.forEach(item => {
+    labResult.screeningTests.push({
+      test: item.test,
+      result: item.result,
+      method: item.method,
+      enteredBy: staff,
+      enteredAt: new Date()
+    });
+  });
+
+  if (bloodGroup) {
+    labResult.bloodGrouping = {
+      bloodGroup,
+      matchesDonation: bloodGroup === donation.bloodGroup,
+      enteredBy: staff,
+      enteredAt: new Date()
+    };
+  }
+
+  const previousOutcome = labResult.outcome;
+  labResult.evaluateOutcome();
+  await labResult.save();
+
+  // Reactive results take the units out of circulation and defer the donor
+  let discardedUnits = 0;
+  if (labResult.outcome === 'Reactive' && previousOutcome !== 'Reactive') {
+    discardedUnits = await discardReactiveUnits(donation, labResult, req.ngo._id, enteredBy);
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      labResult,
+      outstandingTests: labResult.getOutstandingTests(),
+      discardedUnits
+    }, "Lab results recorded successfully")
+  );
+});
+
+/**
+ * Get lab results for a donation (or one of its components)
+ */
+const getLabResults = asyncHandler(async (req, res) => {
+  const { donationId } = req.params;
+
+  const donation = await BloodDonation.findOne({
+    _id: donationId,
+    ngoId: req.ngo._id
+  });
+
+  if (!donation) {
+    throw new ApiError(404, "Blood donation not found or you don't have permission to view it");
+  }
+
+  const labResult = await LabResult.findOne({
+    donationId: donation.parentDonationId || donation._id
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      labResult,
+      outcome: labResult ? labResult.outcome : 'Pending',
+      outstandingTests: labResult
+        ? labResult.getOutstandingTests()
+        : [...REQUIRED_SCREENING_TESTS, 'ABO/Rh']
+    }, "Lab results fetched successfully")
+  );
+});
+
+/**
+ * Get donations still awaiting screening clearance
+ */
+const getPendingScreening = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const clearedDonationIds = await LabResult.distinct('donationId', {
+    ngoId: req.ngo._id,
+    outcome: 'Cleared'
+  });
+
+  const query = {
+    ngoId: req.ngo._id,
+    status: 'processing',
+    parentDonationId: { $exists: false },
+    _id: { $nin: clearedDonationIds }
+  };
+
+  const donations = await BloodDonation.find(query)
+    .sort({ donationDate: 1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('centerId', 'name type');
+
+  const totalDonations = await BloodDonation.countDocuments(query);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      donations,
+      pagination: {
+        totalDonations,
+        totalPages: Math.ceil(totalDonations / limit),
+        currentPage: parseInt(page),
+        hasNextPage: skip + donations.length < totalDonations,
+        hasPrevPage: page > 1
+      }
+    }, "Donations pending screening fetched successfully")
+  );
+});
+
+// Requests whose units are being prepared, so they can be crossmatched
+const CROSSMATCH_REQUEST_STATUSES = ['Accepted', 'Processing', 'Partially Fulfilled'];
+
+/**
+ * Record a crossmatch of a unit against the patient of a request line
+ * (Used by NGO lab staff; only compatible units can then be dispatched against the line)
+ */
+const recordCrossmatch = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { lineId, donationId, result, method, notes, enteredBy } = req.body;
+
+  if (!lineId || !donationId || !result || !enteredBy) {
+    throw new ApiError(400, "Line ID, donation ID, result and the name of the staff member entering it are required");
+  }
+
+  if (!CROSSMATCH_RESULTS.includes(result)) {
+    throw new ApiError(400, `Result must be one of: ${CROSSMATCH_RESULTS.join(', ')}`);
+  }
+
+  if (method && !CROSSMATCH_METHODS.includes(method)) {
+    throw new ApiError(400, `Method must be one of: ${CROSSMATCH_METHODS.join(', ')}`);
+  }
+
+  const request = await BloodRequest.findOne({
+    _id: requestId,
+    ngoId: req.ngo._id
+  });
+
+  if (!request) {
+    throw new ApiError(404, "Blood request not found or you don't have permission to crossmatch units for it");
+  }
+
+  if (!CROSSMATCH_REQUEST_STATUSES.includes(request.status)) {
+    throw new ApiError(409, `Units can only be crossmatched for requests that are ${CROSSMATCH_REQUEST_STATUSES.join(', ')}`);
+  }
+
+  const line = request.bloodGroups.id(lineId);
+  if (!line) {
+    throw new ApiError(404, "Request line not found");
+  }
+
+  if (!line.patient) {
+    throw new ApiError(400, "This request line has no patient details to crossmatch against");
+  }
+
+  if (!request.isPatientSampleValid(line)) {
+    throw new ApiError(409, `The patient sample is more than ${CROSSMATCH_SAMPLE_VALID_HOURS} hours old; the hospital must send a new sample`);
+  }
+
+  const donation = await BloodDonation.findOne({
+    _id: donationId,
+    ngoId: req.ngo._id
+  });
+
+  if (!donation) {
+    throw new ApiError(404, "Blood donation not found or you don't have permission to crossmatch it");
+  }
+
+  // Crossmatching is done before the unit leaves the NGO
+  if (donation.status !== 'available') {
+    throw new ApiError(409, `Cannot crossmatch blood unit with status: ${donation.status}. Unit must be 'available'`);
+  }
+
+  if (donation.isReserved(request._id)) {
+    throw new ApiError(409, `Blood unit is reserved for blood request ${donation.reservation.requestId}`);
+  }
+
+  if (!lineAcceptsComponent(line, donation.componentType)) {
+    throw new ApiError(400, `The line requests ${line.componentType || 'red cells'}, not ${donation.componentType}`);
+  }
+
+  // A compatible crossmatch cannot override ABO/Rh incompatibility
+  if (result === 'Compatible' && !isCompatible(donation.bloodGroup, line.patient.bloodGroup, donation.componentType)) {
+    throw new ApiError(409, `${donation.bloodGroup} ${donation.componentType} is not ABO/Rh compatible with a ${line.patient.bloodGroup} patient`);
+  }
+
+  request.crossmatches.push({
+    lineId: line._id,
+    donationId: donation._id,
+    result,
+    method,
+    notes,
+    enteredBy: { ngoId: req.ngo._id, name: enteredBy },
+    enteredAt: new Date()
+  });
+  await request.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      crossmatch: request.crossmatches[request.crossmatches.length - 1],
+      dispatchable: request.isCrossmatchCompatible(line, donation._id)
+    }, "Crossmatch result recorded successfully")
+  );
+});
+
+/**
+ * Get the patient details and crossmatch results of a blood request
+ * (Only for the requesting hospital and the NGO supplying the request)
+ */
+const getCrossmatchResults = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+
+  const request = await BloodRequest.findOne(req.hospital
+    ? { _id: requestId, hospitalId: req.hospital._id }
+    : { _id: requestId, ngoId: req.ngo._id });
+
+  if (!request) {
+    throw new ApiError(404, "Blood request not found or you don't have permission to view it");
+  }
+
+  // Latest result per unit for each line with a patient
+  const lines = request.bloodGroups
+    .filter(line => line.patient)
+    .map(line => {
+      const donationIds = [...new Set(request.crossmatches
+        .filter(entry => entry.lineId.equals(line._id))
+        .map(entry => entry.donationId.toString()))];
+      return {
+        lineId: line._id,
+        bloodGroup: line.bloodGroup,
+        componentType: line.componentType,
+        units: line.units,
+        patient: line.patient,
+        sampleValid: request.isPatientSampleValid(line),
+        crossmatches: donationIds.map(donationId => request.getCrossmatch(line._id, donationId))
+      };
+    });
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      requestId: request._id,
+      lines,
+      history: request.crossmatches
+    }, "Crossmatch results fetched successfully")
+  );
+});
+
+export {
+  recordLabResults,
+  getLabResults,
+  getPendingScreening,
+  recordCrossmatch,
+  getCrossmatchResults
+};
@@ -2,9 +2,12 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import NGO from "../models/ngo.models.js";
+import InventoryReconciliation from "../models/inventoryReconciliation.models.js";
+import BloodRequest from "../models/bloodrequest.models.js";
 import jwt from "jsonwebtoken";
 import { uploadOnCloudinary } from "../utils/fileUpload.js";
 import { sendOTPEmail } from "../utils/emailService.js";
+import { getSlaConfig } from "../utils/sla.js";
 
 /**
  * Generate access and refresh tokens for NGO
@@ -437,6 +440,101 @@ const updateNGOProfile = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Update NGO settings
+ */
+const updateNGOSettings = asyncHandler(async (req, res) => {
+  const {
+    notificationsEnabled,
+    autoAcceptRequests,
+    minBloodLevelAlert,
+    capacityEnforcement,
+    inventoryMode,
+    reservationHoldMinutes,
+    autoAcceptRules
+  } = req.body;
+  
+  // Update only the settings that were provided
+  const updateFields = {};
+  const unsetFields = {};
+  if (typeof notificationsEnabled === 'boolean') updateFields['settings.notificationsEnabled'] = notificationsEnabled;
+  if (typeof autoAcceptRequests === 'boolean') updateFields['settings.autoAcceptRequests'] = autoAcceptRequests;
+  if (typeof minBloodLevelAlert === 'number') updateFields['settings.minBloodLevelAlert'] = minBloodLevelAlert;
+  if (capacityEnforcement) {
+    if (!['reject', 'warn'].includes(capacityEnforcement)) {
+      throw new ApiError(400, "Capacity enforcement must be either 'reject' or 'warn'");
+    }
+    updateFields['settings.capacityEnforcement'] = capacityEnforcement;
+  }
+  if (inventoryMode) {
+    if (!['manual', 'unit-derived'].includes(inventoryMode)) {
+      throw new ApiError(400, "Inventory mode must be either 'manual' or 'unit-derived'");
+    }
+    updateFields['settings.inventoryMode'] = inventoryMode;
+  }
+  if (reservationHoldMinutes !== undefined) {
+    if (typeof reservationHoldMinutes !== 'number' || reservationHoldMinutes < 5) {
+      throw new ApiError(400, "Reservation hold time must be a number of minutes (at least 5)");
+    }
+    updateFields['settings.reservationHoldMinutes'] = reservationHoldMinutes;
+  }
+  if (autoAcceptRules) {
+    const { maxUnitsPerRequest, allowedUrgencyLevels, excludedBloodGroups } = autoAcceptRules;
+    const urgencyLevels = ['Emergency', 'Regular', 'Future Need'];
+    const bloodGroups = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+    
+    // null removes the limit
+    if (maxUnitsPerRequest !== undefined) {
+      if (maxUnitsPerRequest !== null && (!Number.isInteger(maxUnitsPerRequest) || maxUnitsPerRequest < 1)) {
+        throw new ApiError(400, "Maximum units per request must be a positive whole number");
+      }
+      if (maxUnitsPerRequest === null) {
+        unsetFields['settings.autoAcceptRules.maxUnitsPerRequest'] = 1;
+      } else {
+        updateFields['settings.autoAcceptRules.maxUnitsPerRequest'] = maxUnitsPerRequest;
+      }
+    }
+    if (allowedUrgencyLevels !== undefined) {
+      if (!Array.isArray(allowedUrgencyLevels) || allowedUrgencyLevels.some(level => !urgencyLevels.includes(level))) {
+        throw new ApiError(400, `Allowed urgency levels must be a list of: ${urgencyLevels.join(', ')}`);
+      }
+      updateFields['settings.autoAcceptRules.allowedUrgencyLevels'] = allowedUrgencyLevels;
+    }
+    if (excludedBloodGroups !== undefined) {
+      if (!Array.isArray(excludedBloodGroups) || excludedBloodGroups.some(group => !bloodGroups.includes(group))) {
+        throw new ApiError(400, `Excluded blood groups must be a list of: ${bloodGroups.join(', ')}`);
+      }
+      updateFields['settings.autoAcceptRules.excludedBloodGroups'] = excludedBloodGroups;
+    }
+  }
+  
+  if (!Object.keys(updateFields).length && !Object.keys(unsetFields).length) {
+    throw new ApiError(400, "At least one setting is required");
+  }
+  
+  const ngo = await NGO.findByIdAndUpdate(
+    req.ngo._id,
+    {
+      ...(Object.keys(updateFields).length && { $set: updateFields }),
+      ...(Object.keys(unsetFields).length && { $unset: unsetFields })
+    },
+    { new: true, runValidators: true }
+  ).select("settings bloodInventory");
+  
+  if (!ngo) {
+    throw new ApiError(404, "NGO not found");
+  }
+  
+  // Switching to unit-derived inventory replaces the manual numbers straight away
+  if (inventoryMode === 'unit-derived') {
+    await ngo.reconcileBloodInventory({ sync: true });
+  }
+  
+  return res.status(200).json(
+    new ApiResponse(200, ngo.settings, "NGO settings updated successfully")
+  );
+});
+
 /**
  * Update blood inventory
  */
@@ -460,6 +558,11 @@ const updateBloodInventory = asyncHandler(async (req, res) => {
     throw new ApiError(404, "NGO not found");
   }
   
+  // Manual edits are disabled when inventory is derived from blood units
+  if (ngo.settings?.inventoryMode === 'unit-derived') {
+    throw new ApiError(409, "Blood inventory is derived from registered blood units. Switch inventory mode to 'manual' to edit it");
+  }
+  
   // Update blood inventory
   await ngo.updateBloodStock(bloodGroup, units, operation || 'add');
   
@@ -468,6 +571,116 @@ const updateBloodInventory = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Compare the manual blood inventory with stock derived from blood units
+ */
+const getInventoryReconciliation = asyncHandler(async (req, res) => {
+  const ngo = await NGO.findById(req.ngo._id);
+  
+  if (!ngo) {
+    throw new ApiError(404, "NGO not found");
+  }
+  
+  const report = await ngo.reconcileBloodInventory();
+  
+  return res.status(200).json(
+    new ApiResponse(200, {
+      inventoryMode: ngo.settings?.inventoryMode || 'manual',
+      ...report
+    }, "Inventory reconciliation report generated successfully")
+  );
+});
+
+/**
+ * Reconcile the blood inventory and store the report
+ * (Optionally syncing the manual summary from unit-level data)
+ */
+const reconcileInventory = asyncHandler(async (req, res) => {
+  const { sync = false } = req.body;
+  
+  const ngo = await NGO.findById(req.ngo._id);
+  
+  if (!ngo) {
+    throw new ApiError(404, "NGO not found");
+  }
+  
+  const report = await ngo.reconcileBloodInventory({ sync: sync === true });
+  
+  const reconciliation = await InventoryReconciliation.create({
+    ngoId: ngo._id,
+    trigger: 'manual',
+    ...report
+  });
+  
+  return res.status(200).json(
+    new ApiResponse(200, reconciliation, report.synced
+      ? "Blood inventory synced from blood units successfully"
+      : "Blood inventory reconciled successfully")
+  );
+});
+
+/**
+ * Get past inventory reconciliation reports
+ */
+const getReconciliationHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const skip = (page - 1) * limit;
+  
+  const reports = await InventoryReconciliation.find({ ngoId: req.ngo._id })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+  
+  const totalReports = await InventoryReconciliation.countDocuments({ ngoId: req.ngo._id });
+  
+  return res.status(200).json(
+    new ApiResponse(200, {
+      reports,
+      pagination: {
+        totalReports,
+        totalPages: Math.ceil(totalReports / limit),
+        currentPage: parseInt(page),
+        hasNextPage: skip + reports.length < totalReports,
+        hasPrevPage: page > 1
+      }
+    }, "Reconciliation history fetched successfully")
+  );
+});
+
+/**
+ * Get the NGO's performance stats: blood requests by status and SLA compliance
+ * (Optionally limited to requests created between 'from' and 'to')
+ */
+const getNGOPerformanceStats = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  const match = { ngoId: req.ngo._id };
+  
+  const sla = await BloodRequest.getSlaReport(match, { from, to });
+  
+  const createdAt = {};
+  if (from) createdAt.$gte = new Date(from);
+  if (to) createdAt.$lte = new Date(to);
+  const statusCounts = await BloodRequest.aggregate([
+    { $match: { ...match, ...(Object.keys(createdAt).length && { createdAt }) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  
+  const requests = { total: 0 };
+  statusCounts.forEach(({ _id, count }) => {
+    requests[_id] = count;
+    requests.total += count;
+  });
+  
+  return res.status(200).json(
+    new ApiResponse(200, {
+      requests,
+      sla: sla.overall,
+      slaByUrgency: sla.byUrgency,
+      slaMinutes: getSlaConfig()
+    }, "Performance stats fetched successfully")
+  );
+});
+
 /**
  * Get connected hospitals
  */
@@ -591,7 +804,12 @@ export {
   refreshAccessToken,
   getNGOProfile,
   updateNGOProfile,
+  updateNGOSettings,
   updateBloodInventory,
+  getInventoryReconciliation,
+  reconcileInventory,
+  getReconciliationHistory,
+  getNGOPerformanceStats,
   getConnectedHospitals,
   respondToConnectionRequest,
   changePassword
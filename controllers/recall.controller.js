@@ -0,0 +1,430 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import BloodDonation from "../models/blood.models.js";
+import Recall from "../models/recall.models.js";
+import { Center } from "../models/center.models.js";
+import Hospital from "../models/hospital.models.js";
+import { sendRecallNoticeEmail } from "../utils/emailService.js";
+
+// Units in these states are no longer in circulation and cannot be quarantined
+const OUT_OF_CIRCULATION_STATUSES = ['expired', 'discarded', 'separated'];
+
+/**
+ * Initiate a donor lookback or single-unit recall
+ * (Used by NGOs and admins)
+ */
+const initiateRecall = asyncHandler(async (req, res) => {
+  const { userId, donationId, reason } = req.body;
+
+  if ((!userId && !donationId) || !reason) {
+    throw new ApiError(400, "A donor (userId) or unit (donationId) and a reason are required");
+  }
+
+  const initiatedBy = req.admin
+    ? { entityId: req.admin._id, entityType: 'Admin' }
+    : { entityId: req.ngo._id, entityType: 'NGO' };
+
+  // Work out which units to trace
+  let trigger;
+  let unitQuery;
+
+  if (donationId) {
+    const unit = await BloodDonation.findById(donationId);
+    if (!unit) {
+      throw new ApiError(404, "Blood donation not found");
+    }
+    if (!req.admin && !unit.getCollectingNgoId().equals(req.ngo._id)) {
+      throw new ApiError(403, "You can only recall units collected by your NGO");
+    }
+
+    // A unit recall covers the original donation and every component made from it
+    const rootDonationId = unit.parentDonationId || unit._id;
+    trigger = { type: 'Unit', userId: unit.userId, donationId: unit._id };
+    unitQuery = { $or: [{ _id: rootDonationId }, { parentDonationId: rootDonationId }] };
+  } else {
+    if (!req.admin) {
+      const collected = await BloodDonation.exists({ userId, ...BloodDonation.collectedByQuery(req.ngo._id) });
+      if (!collected) {
+        throw new ApiError(403, "You can only initiate a lookback for donors your NGO has collected from");
+      }
+    }
+
+    // A donor lookback covers every unit the donor ever gave, across all NGOs
+    trigger = { type: 'Donor', userId };
+    unitQuery = { userId };
+  }
+
+  const units = await BloodDonation.find(unitQuery).sort({ donationDate: -1 });
+
+  if (!units.length) {
+    throw new ApiError(404, "No blood units found for this donor");
+  }
+
+  const recall = new Recall({
+    trigger,
+    reason,
+    initiatedBy
+  });
+
+  const centerIds = new Set();
+  const hospitalUnits = {};
+
+  for (const unit of units) {
+    const statusBefore = unit.status;
+    let action;
+
+    if (statusBefore === 'used') {
+      action = 'Already Transfused';
+    } else if (OUT_OF_CIRCULATION_STATUSES.includes(statusBefore)) {
+      action = 'Already Out Of Circulation';
+    } else {
+      action = 'Quarantined';
+      if (statusBefore !== 'quarantined') {
+        unit.quarantine = {
+          recallId: recall._id,
+          previousStatus: statusBefore,
+          quarantinedAt: new Date()
+        };
+        unit.changeStatus('quarantined', {
+          actor: initiatedBy,
+          note: `Quarantined by recall: ${reason}`
+        });
+        await unit.save();
+      }
+    }
+
+    recall.affectedUnits.push({
+      donationId: unit._id,
+      ngoId: unit.ngoId,
+      bloodGroup: unit.bloodGroup,
+      componentType: unit.componentType,
+      donationDate: unit.donationDate,
+      statusBefore,
+      holder: {
+        entityId: unit.currentLocation.entityId,
+        entityType: unit.currentLocation.entityType
+      },
+      action
+    });
+
+    if (unit.currentLocation.entityType === 'Center') {
+      centerIds.add(unit.currentLocation.entityId.toString());
+    }
+
+    // Every hospital the unit was ever sent to must be told
+    const receivingHospitals = new Set(
+      unit.transferHistory
+        .filter(transfer => transfer.toType === 'Hospital')
+        .map(transfer => transfer.toId.toString())
+    );
+    if (unit.currentLocation.entityType === 'Hospital') {
+      receivingHospitals.add(unit.currentLocation.entityId.toString());
+    }
+    receivingHospitals.forEach(hospitalId => {
+      if (!hospitalUnits[hospitalId]) hospitalUnits[hospitalId] = [];
+      hospitalUnits[hospitalId].push(unit);
+    });
+  }
+
+  // Notify receiving hospitals
+  for (const [hospitalId, affected] of Object.entries(hospitalUnits)) {
+    const hospital = await Hospital.findById(hospitalId).select('name email');
+    let emailSent = false;
+
+    if (hospital?.email) {
+      emailSent = await sendRecallNoticeEmail(
+        hospital.email,
+        hospital.name,
+        affected.map(unit => ({
+          id: unit._id,
+          bloodGroup: unit.bloodGroup,
+          componentType: unit.componentType,
+          status: unit.status
+        })),
+        reason
+      );
+    }
+
+    recall.hospitalNotices.push({
+      hospitalId,
+      donationIds: affected.map(unit => unit._id),
+      notifiedAt: new Date(),
+      emailSent
+    });
+  }
+
+  await recall.save();
+
+  // Update inventory of the centers holding quarantined units
+  for (const centerId of centerIds) {
+    const center = await Center.findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  const populatedRecall = await Recall.findById(recall._id)
+    .populate('affectedUnits.holder.entityId', 'name')
+    .populate('hospitalNotices.hospitalId', 'name email');
+
+  return res.status(201).json(
+    new ApiResponse(201, populatedRecall, "Recall initiated successfully")
+  );
+});
+
+/**
+ * Get recalls for an NGO (initiated by it or involving its units), or all recalls for an admin
+ */
+const getRecalls = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 10 } = req.query;
+  const skip = (page - 1) * limit;
+
+  // Build query
+  const query = {};
+  if (!req.admin) {
+    query.$or = [
+      { 'initiatedBy.entityId': req.ngo._id },
+      { 'affectedUnits.ngoId': req.ngo._id }
+    ];
+  }
+  if (status) query.status = status;
+
+  const recalls = await Recall.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('trigger.userId', 'fullName email');
+
+  const totalRecalls = await Recall.countDocuments(query);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      recalls,
+      pagination: {
+        totalRecalls,
+        totalPages: Math.ceil(totalRecalls / limit),
+        currentPage: parseInt(page),
+        hasNextPage: skip + recalls.length < totalRecalls,
+        hasPrevPage: page > 1
+      }
+    }, "Recalls fetched successfully")
+  );
+});
+
+/**
+ * Get details of a recall with every affected unit and its holder
+ */
+const getRecallDetails = asyncHandler(async (req, res) => {
+  const { recallId } = req.params;
+
+  const query = { _id: recallId };
+  if (!req.admin) {
+    query.$or = [
+      { 'initiatedBy.entityId': req.ngo._id },
+      { 'affectedUnits.ngoId': req.ngo._id }
+    ];
+  }
+
+  const recall = await Recall.findOne(query)
+    .populate('trigger.userId', 'fullName email')
+    .populate('affectedUnits.holder.entityId', 'name')
+    .populate('hospitalNotices.hospitalId', 'name email contactPerson');
+
+  if (!recall) {
+    throw new ApiError(404, "Recall not found or you don't have permission to view it");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      recall,
+      fullyAcknowledged: recall.isFullyAcknowledged()
+    }, "Recall details fetched successfully")
+  );
+});
+
+/**
+ * Close a recall once it has been fully handled
+ * Units listed in releaseDonationIds go back to the status they had before the recall;
+ * the rest stay quarantined until they are discarded
+ */
+const closeRecall = asyncHandler(async (req, res) => {
+  const { recallId } = req.params;
+  const { notes, releaseDonationIds = [] } = req.body;
+  const actor = req.admin
+    ? { entityId: req.admin._id, entityType: 'Admin' }
+    : { entityId: req.ngo._id, entityType: 'NGO' };
+
+  if (!Array.isArray(releaseDonationIds)) {
+    throw new ApiError(400, "releaseDonationIds must be a list of donation IDs");
+  }
+
+  const query = { _id: recallId, status: 'Open' };
+  if (!req.admin) {
+    query['initiatedBy.entityId'] = req.ngo._id;
+  }
+
+  const recall = await Recall.findOne(query);
+
+  if (!recall) {
+    throw new ApiError(404, "Open recall not found or you don't have permission to close it");
+  }
+
+  if (!recall.isFullyAcknowledged()) {
+    throw new ApiError(409, "All notified hospitals must acknowledge the recall before it can be closed");
+  }
+
+  // Only units this recall quarantined, and that no other open recall holds, can be released
+  const quarantinedIds = recall.affectedUnits
+    .filter(item => item.action === 'Quarantined')
+    .map(item => item.donationId.toString());
+  const releaseIds = [...new Set(releaseDonationIds.map(String))];
+  const errors = releaseIds
+    .filter(donationId => !quarantinedIds.includes(donationId))
+    .map(donationId => ({ donationId, message: "Blood unit was not quarantined by this recall" }));
+
+  const units = await BloodDonation.find({
+    _id: { $in: releaseIds.filter(donationId => quarantinedIds.includes(donationId)) }
+  });
+  for (const unit of units) {
+    const otherRecall = await Recall.exists({
+      _id: { $ne: recall._id },
+      status: 'Open',
+      'affectedUnits.donationId': unit._id
+    });
+    if (unit.status !== 'quarantined') {
+      errors.push({ donationId: unit._id, message: `Blood unit is no longer quarantined (status: ${unit.status})` });
+    } else if (!unit.quarantine?.recallId?.equals(recall._id)) {
+      errors.push({ donationId: unit._id, message: "Blood unit was already quarantined before this recall" });
+    } else if (otherRecall) {
+      errors.push({ donationId: unit._id, message: `Blood unit is also held by open recall ${otherRecall._id}` });
+    }
+  }
+
+  if (errors.length) {
+    throw new ApiError(409, "Units cannot be released", errors);
+  }
+
+  const centerIds = new Set();
+  for (const unit of units) {
+    unit.changeStatus(unit.quarantine.previousStatus, {
+      actor,
+      note: `Released on closing recall ${recall._id}${notes ? `: ${notes}` : ''}`
+    });
+    unit.quarantine = undefined;
+    await unit.save();
+
+    if (unit.currentLocation.entityType === 'Center') {
+      centerIds.add(unit.currentLocation.entityId.toString());
+    }
+  }
+
+  recall.status = 'Closed';
+  recall.closedAt = new Date();
+  recall.closingNotes = notes;
+  await recall.save();
+
+  // Released units count as stock again
+  for (const centerId of centerIds) {
+    const center = await Center.findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      recall,
+      releasedUnits: units.length
+    }, units.length
+      ? `Recall closed and ${units.length} units released`
+      : "Recall closed successfully")
+  );
+});
+
+/**
+ * Get recall notices sent to a hospital
+ */
+const getHospitalRecallNotices = asyncHandler(async (req, res) => {
+  const { acknowledged } = req.query;
+  const hospitalId = req.hospital._id;
+
+  const recalls = await Recall.find({ 'hospitalNotices.hospitalId': hospitalId })
+    .sort({ createdAt: -1 })
+    .select('reason status createdAt hospitalNotices affectedUnits')
+    .populate('affectedUnits.donationId', 'bloodGroup componentType status expiryDate');
+
+  // Only expose the hospital's own notice and the units it received
+  const notices = recalls
+    .map(recall => {
+      const notice = recall.hospitalNotices.find(
+        item => item.hospitalId.toString() === hospitalId.toString()
+      );
+      const noticeUnitIds = notice.donationIds.map(id => id.toString());
+
+      return {
+        recallId: recall._id,
+        reason: recall.reason,
+        status: recall.status,
+        issuedAt: recall.createdAt,
+        notice,
+        units: recall.affectedUnits
+          .filter(unit => noticeUnitIds.includes(unit.donationId?._id?.toString()))
+          .map(unit => unit.donationId)
+      };
+    })
+    .filter(item => acknowledged === undefined || String(item.notice.acknowledged) === acknowledged);
+
+  return res.status(200).json(
+    new ApiResponse(200, notices, "Recall notices fetched successfully")
+  );
+});
+
+/**
+ * Acknowledge a recall notice (by hospital)
+ */
+const acknowledgeRecall = asyncHandler(async (req, res) => {
+  const { recallId } = req.params;
+  const { acknowledgedBy, notes } = req.body;
+  const hospitalId = req.hospital._id;
+
+  if (!acknowledgedBy) {
+    throw new ApiError(400, "Name of the person acknowledging the recall is required");
+  }
+
+  const recall = await Recall.findOne({
+    _id: recallId,
+    'hospitalNotices.hospitalId': hospitalId
+  });
+
+  if (!recall) {
+    throw new ApiError(404, "Recall notice not found");
+  }
+
+  const notice = recall.hospitalNotices.find(
+    item => item.hospitalId.toString() === hospitalId.toString()
+  );
+
+  if (notice.acknowledged) {
+    throw new ApiError(400, "Recall notice has already been acknowledged");
+  }
+
+  notice.acknowledged = true;
+  notice.acknowledgedAt = new Date();
+  notice.acknowledgedBy = acknowledgedBy;
+  notice.notes = notes;
+  await recall.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, notice, "Recall notice acknowledged successfully")
+  );
+});
+
+export {
+  initiateRecall,
+  getRecalls,
+  getRecallDetails,
+  closeRecall,
+  getHospitalRecallNotices,
+  acknowledgeRecall
+};
@@ -0,0 +1,398 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import BloodDonation, { COMPONENT_TYPES } from "../models/blood.models.js";
+import StockLoan from "../models/stockLoan.models.js";
+import { Center } from "../models/center.models.js";
+import NGO from "../models/ngo.models.js";
+
+/**
+ * Request blood units from a partner NGO
+ * (Used by the borrowing NGO)
+ */
+const requestStockLoan = asyncHandler(async (req, res) => {
+  const { lenderNgoId, destinationCenterId, lines, requestNotes } = req.body;
+
+  if (!lenderNgoId || !destinationCenterId || !Array.isArray(lines) || !lines.length) {
+    throw new ApiError(400, "Lender NGO, destination center and at least one blood group line are required");
+  }
+
+  // Validate lines
+  lines.forEach(line => {
+    if (!line.bloodGroup || !line.units || line.units < 1) {
+      throw new ApiError(400, "Each line must include bloodGroup and a positive number of units");
+    }
+    if (line.componentType && !COMPONENT_TYPES.includes(line.componentType)) {
+      throw new ApiError(400, `Component type must be one of: ${COMPONENT_TYPES.join(', ')}`);
+    }
+  });
+
+  if (lenderNgoId.toString() === req.ngo._id.toString()) {
+    throw new ApiError(400, "An NGO cannot borrow from itself");
+  }
+
+  const lender = await NGO.findOne({ _id: lenderNgoId, isVerified: true }).select('name');
+  if (!lender) {
+    throw new ApiError(404, "Lender NGO not found or not verified");
+  }
+
+  const destination = await Center.findOne({
+    _id: destinationCenterId,
+    ngoId: req.ngo._id
+  });
+  if (!destination) {
+    throw new ApiError(404, "Destination center not found or it does not belong to your NGO");
+  }
+
+  const loan = await StockLoan.create({
+    borrowerNgoId: req.ngo._id,
+    lenderNgoId,
+    destinationCenterId,
+    lines,
+    requestNotes
+  });
+
+  return res.status(201).json(
+    new ApiResponse(201, loan, "Stock loan requested successfully")
+  );
+});
+
+/**
+ * Get stock loans the NGO is borrowing or lending
+ */
+const getStockLoans = asyncHandler(async (req, res) => {
+  const { role, status, page = 1, limit = 10 } = req.query;
+  const skip = (page - 1) * limit;
+
+  // Build query
+  let query;
+  if (role === 'borrower') {
+    query = { borrowerNgoId: req.ngo._id };
+  } else if (role === 'lender') {
+    query = { lenderNgoId: req.ngo._id };
+  } else {
+    query = { $or: [{ borrowerNgoId: req.ngo._id }, { lenderNgoId: req.ngo._id }] };
+  }
+  if (status) query.status = status;
+
+  const loans = await StockLoan.find(query)
+    .sort({ updatedAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('borrowerNgoId lenderNgoId', 'name')
+    .populate('destinationCenterId', 'name');
+
+  const totalLoans = await StockLoan.countDocuments(query);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      loans,
+      pagination: {
+        totalLoans,
+        totalPages: Math.ceil(totalLoans / limit),
+        currentPage: parseInt(page),
+        hasNextPage: skip + loans.length < totalLoans,
+        hasPrevPage: page > 1
+      }
+    }, "Stock loans fetched successfully")
+  );
+});
+
+/**
+ * Get details of a stock loan
+ */
+const getStockLoanDetails = asyncHandler(async (req, res) => {
+  const { loanId } = req.params;
+
+  const loan = await StockLoan.findOne({
+    _id: loanId,
+    $or: [{ borrowerNgoId: req.ngo._id }, { lenderNgoId: req.ngo._id }]
+  })
+    .populate('borrowerNgoId lenderNgoId', 'name contactPerson')
+    .populate('destinationCenterId', 'name location.city')
+    .populate('units.donationId', 'bloodGroup componentType status expiryDate currentLocation');
+
+  if (!loan) {
+    throw new ApiError(404, "Stock loan not found or you don't have permission to view it");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, loan, "Stock loan details fetched successfully")
+  );
+});
+
+/**
+ * Approve a stock loan: allocate units (given donationIds, or first-expiry-first-out)
+ * and dispatch them to the borrower. Ownership moves to the borrower on dispatch
+ * (Used by the lending NGO)
+ */
+const approveStockLoan = asyncHandler(async (req, res) => {
+  const { loanId } = req.params;
+  const { donationIds, courier, packingTemperature, notes } = req.body;
+  const actor = { entityId: req.ngo._id, entityType: 'NGO' };
+
+  if (!courier?.name || packingTemperature === undefined || Number.isNaN(Number(packingTemperature))) {
+    throw new ApiError(400, "Courier name and packing temperature are required to dispatch the lent units");
+  }
+
+  // Claim the loan first so two approvals cannot both dispatch units for it
+  const loan = await StockLoan.findOneAndUpdate(
+    { _id: loanId, lenderNgoId: req.ngo._id, status: 'Requested' },
+    { $set: { status: 'Dispatching' } },
+    { new: true }
+  );
+
+  if (!loan) {
+    throw new ApiError(404, "Requested stock loan not found or you are not its lender");
+  }
+
+  // The loan goes back to Requested if the units cannot be picked or dispatched
+  let capacityWarning;
+  const sourceCenterIds = new Set();
+  try {
+    // Pick units for every line
+    let units;
+    if (Array.isArray(donationIds) && donationIds.length) {
+      units = await BloodDonation.find({
+        _id: { $in: donationIds },
+        ngoId: req.ngo._id
+      });
+
+      const errors = [];
+      // Units still to be lent per loan line
+      const outstanding = loan.lines.map(line => ({ line, units: line.units }));
+      donationIds.forEach(donationId => {
+        const unit = units.find(item => item._id.toString() === donationId.toString());
+        const slot = unit && outstanding.find(item =>
+          item.units > 0 &&
+          item.line.bloodGroup === unit.bloodGroup &&
+          (!item.line.componentType || item.line.componentType === unit.componentType)
+        );
+        if (!unit) {
+          errors.push({ donationId, message: "Blood unit not found or not owned by your NGO" });
+        } else if (unit.status !== 'available' || unit.expiryDate <= new Date()) {
+          errors.push({ donationId, message: `Blood unit is not available (status: ${unit.status})` });
+        } else if (unit.transferHold?.incidentId) {
+          errors.push({ donationId, message: `Blood unit is on hold: ${unit.transferHold.reason}` });
+        } else if (unit.isReserved()) {
+          errors.push({ donationId, message: `Blood unit is reserved for blood request ${unit.reservation.requestId}` });
+        } else if (unit.currentLocation.entityType !== 'Center' || unit.currentLocation.inTransit) {
+          errors.push({ donationId, message: "Blood unit must be held at one of your centers" });
+        } else if (!slot) {
+          errors.push({ donationId, message: `Loan has no outstanding ${unit.bloodGroup} ${unit.componentType} units` });
+        } else {
+          slot.units -= 1;
+        }
+      });
+
+      if (errors.length) {
+        throw new ApiError(409, "Units cannot be lent", errors);
+      }
+    } else {
+      units = [];
+      for (const line of loan.lines) {
+        const available = (await BloodDonation.findAvailableByBloodGroup(line.bloodGroup, {
+          ngoId: req.ngo._id,
+          componentType: line.componentType
+        }))
+          .filter(unit =>
+            unit.currentLocation.entityType === 'Center' &&
+            !units.some(picked => picked._id.equals(unit._id))
+          );
+
+        if (available.length < line.units) {
+          throw new ApiError(
+            409,
+            `Not enough available ${line.bloodGroup}${line.componentType ? ` ${line.componentType}` : ''} units to lend`,
+            [{ bloodGroup: line.bloodGroup, requested: line.units, available: available.length }]
+          );
+        }
+        units.push(...available.slice(0, line.units));
+      }
+    }
+
+    // Check the borrower's center has room (rejects or warns per the borrower's setting)
+    const destination = await Center.findById(loan.destinationCenterId);
+    const borrower = await NGO.findById(loan.borrowerNgoId).select('name settings');
+    ({ warning: capacityWarning } = destination
+      ? await destination.ensureCapacity(units.length, borrower?.settings?.capacityEnforcement)
+      : { warning: null });
+
+    // Move ownership and dispatch every unit to the borrower's center
+    // If any dispatch fails, units already dispatched are put back as they were
+    const dispatched = [];
+    try {
+      for (const unit of units) {
+        const previous = {
+          ngoId: unit.ngoId?._id || unit.ngoId,
+          currentLocation: unit.currentLocation.toObject(),
+          storageUnitId: unit.storageUnitId
+        };
+
+        unit.ownershipHistory.push({
+          fromNgoId: req.ngo._id,
+          toNgoId: loan.borrowerNgoId,
+          loanId: loan._id,
+          transferredAt: new Date()
+        });
+        unit.ngoId = loan.borrowerNgoId;
+
+        await unit.transferTo(loan.destinationCenterId, 'Center', `Lent to ${borrower?.name || 'partner NGO'} (stock loan ${loan._id})`, {
+          courier,
+          packingTemperature,
+          actor
+        });
+        dispatched.push({ unit, previous });
+        sourceCenterIds.add(previous.currentLocation.entityId.toString());
+      }
+    } catch (error) {
+      for (const { unit, previous } of dispatched) {
+        unit.ownershipHistory.pop();
+        unit.transferHistory.pop();
+        unit.ngoId = previous.ngoId;
+        unit.currentLocation = previous.currentLocation;
+        unit.storageUnitId = previous.storageUnitId;
+        await unit.save();
+      }
+      throw error;
+    }
+
+    loan.units = units.map(unit => ({
+      donationId: unit._id,
+      bloodGroup: unit.bloodGroup,
+      componentType: unit.componentType,
+      expiryDate: unit.expiryDate
+    }));
+    loan.status = 'Dispatched';
+    loan.dispatchedAt = new Date();
+    loan.decision = { decidedAt: new Date(), notes };
+    await loan.save();
+  } catch (error) {
+    await StockLoan.updateOne({ _id: loan._id, status: 'Dispatching' }, { $set: { status: 'Requested' } });
+    throw error;
+  }
+
+  // Update inventory of the lender's centers
+  for (const centerId of sourceCenterIds) {
+    const center = await Center.findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      loan,
+      capacityWarning
+        ? `Stock loan approved and units dispatched. Warning: ${capacityWarning}`
+        : "Stock loan approved and units dispatched"
+    )
+  );
+});
+
+/**
+ * Decline a stock loan request (by the lender)
+ */
+const declineStockLoan = asyncHandler(async (req, res) => {
+  const { loanId } = req.params;
+  const { notes } = req.body;
+
+  const loan = await StockLoan.findOneAndUpdate(
+    { _id: loanId, lenderNgoId: req.ngo._id, status: 'Requested' },
+    { $set: { status: 'Declined', decision: { decidedAt: new Date(), notes } } },
+    { new: true }
+  );
+
+  if (!loan) {
+    throw new ApiError(404, "Requested stock loan not found or you are not its lender");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, loan, "Stock loan declined")
+  );
+});
+
+/**
+ * Cancel a stock loan request before the lender acts on it (by the borrower)
+ */
+const cancelStockLoan = asyncHandler(async (req, res) => {
+  const { loanId } = req.params;
+
+  const loan = await StockLoan.findOneAndUpdate(
+    { _id: loanId, borrowerNgoId: req.ngo._id, status: 'Requested' },
+    { $set: { status: 'Cancelled' } },
+    { new: true }
+  );
+
+  if (!loan) {
+    throw new ApiError(404, "Requested stock loan not found or you did not request it");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, loan, "Stock loan cancelled")
+  );
+});
+
+/**
+ * Get the NGO's outstanding lending balance with each partner NGO
+ * Positive balances are units lent to the partner, negative balances units borrowed from it
+ */
+const getLendingBalances = asyncHandler(async (req, res) => {
+  const ngoId = req.ngo._id;
+
+  const movements = await StockLoan.aggregate([
+    {
+      $match: {
+        status: { $in: ['Dispatched', 'Completed'] },
+        $or: [{ borrowerNgoId: ngoId }, { lenderNgoId: ngoId }]
+      }
+    },
+    { $unwind: '$units' },
+    {
+      $group: {
+        _id: {
+          partnerNgoId: { $cond: [{ $eq: ['$lenderNgoId', ngoId] }, '$borrowerNgoId', '$lenderNgoId'] },
+          bloodGroup: '$units.bloodGroup'
+        },
+        lent: { $sum: { $cond: [{ $eq: ['$lenderNgoId', ngoId] }, 1, 0] } },
+        borrowed: { $sum: { $cond: [{ $eq: ['$borrowerNgoId', ngoId] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const partners = await NGO.find({
+    _id: { $in: [...new Set(movements.map(row => row._id.partnerNgoId.toString()))] }
+  }).select('name');
+
+  const balances = partners.map(partner => {
+    const rows = movements.filter(row => row._id.partnerNgoId.equals(partner._id));
+    const byBloodGroup = rows.map(row => ({
+      bloodGroup: row._id.bloodGroup,
+      lent: row.lent,
+      borrowed: row.borrowed,
+      balance: row.lent - row.borrowed
+    }));
+
+    return {
+      partnerNgoId: partner._id,
+      partnerName: partner.name,
+      byBloodGroup,
+      balance: byBloodGroup.reduce((sum, row) => sum + row.balance, 0)
+    };
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, balances, "Lending balances fetched successfully")
+  );
+});
+
+export {
+  requestStockLoan,
+  getStockLoans,
+  getStockLoanDetails,
+  approveStockLoan,
+  declineStockLoan,
+  cancelStockLoan,
+  getLendingBalances
+};
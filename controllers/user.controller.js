@@ -3,6 +3,7 @@ import { ApiError } from "../utils/ApiError.js";
 import User from "../models/user.models.js";
 import { Center } from "../models/center.models.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { calculateDistance } from "../utils/geo.js";
 import { uploadOnCloudinary } from "../utils/fileUpload.js";
 import jwt from "jsonwebtoken";
 import { sendOTPEmail, generateOTP } from "../utils/emailService.js";
@@ -740,25 +741,6 @@ const findNearbyNGOsForDonation = asyncHandler(async (req, res) => {
   );
 });
 
-// Utility function to calculate distance between two coordinates
-function calculateDistance(coords1, coords2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = deg2rad(coords2[1] - coords1[1]);
-  const dLon = deg2rad(coords2[0] - coords1[0]); // Fixed coords0 to coords1
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(deg2rad(coords1[1])) *
-      Math.cos(deg2rad(coords2[1])) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in km
-}
-
-function deg2rad(deg) {
-  return deg * (Math.PI / 180);
-}
-
 /**
  * Update user's location and address
  */
@@ -0,0 +1,74 @@
+import BloodDonation from "../models/blood.models.js";
+import { Center } from "../models/center.models.js";
+
+// Units in these states still count as stock and can expire
+// (every one of them may move to 'expired' under STATUS_TRANSITIONS)
+const EXPIRABLE_STATUSES = ['processing', 'available', 'assigned', 'quarantined'];
+
+/**
+ * Mark units past their expiry date as expired and refresh affected center inventories
+ */
+const runExpirySweep = async () => {
+  const now = new Date();
+  const query = {
+    status: { $in: EXPIRABLE_STATUSES },
+    expiryDate: { $lte: now }
+  };
+
+  // Find the affected units first so we know which centers to refresh
+  const expiredUnits = await BloodDonation.find(query)
+    .select('status bloodGroup componentType currentLocation');
+
+  if (!expiredUnits.length) {
+    return { expiredUnits: 0, byStatus: {}, centersRefreshed: 0 };
+  }
+
+  const byStatus = {};
+  const centerIds = new Set();
+  expiredUnits.forEach(unit => {
+    byStatus[unit.status] = (byStatus[unit.status] || 0) + 1;
+    if (unit.currentLocation?.entityType === 'Center') {
+      centerIds.add(unit.currentLocation.entityId.toString());
+    }
+  });
+
+  // Expire units per previous status so each gets an accurate statusHistory entry
+  for (const status of Object.keys(byStatus)) {
+    await BloodDonation.updateMany(
+      {
+        _id: { $in: expiredUnits.filter(unit => unit.status === status).map(unit => unit._id) },
+        status
+      },
+      {
+        $set: { status: 'expired' },
+        $push: {
+          statusHistory: {
+            from: status,
+            to: 'expired',
+            changedBy: { entityType: 'System' },
+            note: 'Past expiry date',
+            changedAt: now
+          }
+        }
+      }
+    );
+  }
+
+  // Recompute inventory for every center that held an expired unit
+  let centersRefreshed = 0;
+  for (const centerId of centerIds) {
+    const center = await Center.findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
+      centersRefreshed += 1;
+    }
+  }
+
+  return {
+    expiredUnits: expiredUnits.length,
+    byStatus,
+    centersRefreshed
+  };
+};
+
+export { runExpirySweep };
@@ -0,0 +1,39 @@
+import { registerJob, runJob, getRegisteredJobs, startScheduler, stopScheduler } from "../utils/scheduler.js";
+import { runExpirySweep } from "./expirySweep.job.js";
+import { runInventoryReconciliation } from "./inventoryReconciliation.job.js";
+import { runInventorySnapshot } from "./inventorySnapshot.job.js";
+import { runReservationExpiry } from "./reservationExpiry.job.js";
+import { runSlaEscalation } from "./slaEscalation.job.js";
+
+const MINUTE = 60 * 1000;
+
+// Register background jobs (intervals can be tuned through environment variables)
+registerJob(
+  'expiry-sweep',
+  (parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES) || 60) * MINUTE,
+  runExpirySweep
+);
+registerJob(
+  'inventory-reconciliation',
+  (parseInt(process.env.INVENTORY_RECONCILIATION_INTERVAL_MINUTES) || 360) * MINUTE,
+  runInventoryReconciliation
+);
+// Snapshots are keyed by day, so running several times a day keeps the latest figures
+registerJob(
+  'inventory-snapshot',
+  (parseInt(process.env.INVENTORY_SNAPSHOT_INTERVAL_MINUTES) || 360) * MINUTE,
+  runInventorySnapshot
+);
+registerJob(
+  'reservation-expiry',
+  (parseInt(process.env.RESERVATION_EXPIRY_INTERVAL_MINUTES) || 5) * MINUTE,
+  runReservationExpiry
+);
+// Escalation waits are per urgency level, so this only needs to run more often than the shortest one
+registerJob(
+  'sla-escalation',
+  (parseInt(process.env.SLA_ESCALATION_INTERVAL_MINUTES) || 5) * MINUTE,
+  runSlaEscalation
+);
+
+export { runJob, getRegisteredJobs, startScheduler, stopScheduler };
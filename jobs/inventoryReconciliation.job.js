@@ -0,0 +1,35 @@
+import NGO from "../models/ngo.models.js";
+import InventoryReconciliation from "../models/inventoryReconciliation.models.js";
+
+/**
+ * Compare every verified NGO's manual inventory with unit-derived stock
+ * NGOs in unit-derived mode are synced; the others get a discrepancy report
+ */
+const runInventoryReconciliation = async () => {
+  const ngos = await NGO.find({ isVerified: true }).select('settings bloodInventory');
+
+  let ngosWithDiscrepancies = 0;
+  let ngosSynced = 0;
+
+  for (const ngo of ngos) {
+    const sync = ngo.settings?.inventoryMode === 'unit-derived';
+    const report = await ngo.reconcileBloodInventory({ sync });
+
+    if (report.discrepancies) ngosWithDiscrepancies += 1;
+    if (sync) ngosSynced += 1;
+
+    await InventoryReconciliation.create({
+      ngoId: ngo._id,
+      trigger: 'scheduled',
+      ...report
+    });
+  }
+
+  return {
+    ngosChecked: ngos.length,
+    ngosWithDiscrepancies,
+    ngosSynced
+  };
+};
+
+export { runInventoryReconciliation };
@@ -0,0 +1,167 @@
+import BloodDonation from "../models/blood.models.js";
+import { Center } from "../models/center.models.js";
+import InventorySnapshot, { BLOOD_GROUPS } from "../models/inventorySnapshot.models.js";
+
+// Units in these states occupy storage at a center
+const HELD_STATUSES = ['processing', 'available', 'assigned', 'quarantined'];
+const EXPIRING_SOON_DAYS = 7;
+
+/**
+ * Write today's stock snapshot for every center and blood group
+ * Re-running on the same day overwrites that day's snapshot. Each run also
+ * recounts the previous day's used and discarded units, so units that left
+ * stock after that day's last run are still counted
+ */
+const runInventorySnapshot = async () => {
+  const now = new Date();
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const dayEnd = new Date(dayStart);
+  dayEnd.setUTCDate(dayEnd.getUTCDate() + 1);
+  const previousDayStart = new Date(dayStart);
+  previousDayStart.setUTCDate(previousDayStart.getUTCDate() - 1);
+  const expiringBefore = new Date(now);
+  expiringBefore.setDate(expiringBefore.getDate() + EXPIRING_SOON_DAYS);
+
+  // Stock currently held at each center
+  const stock = await BloodDonation.aggregate([
+    {
+      $match: {
+        'currentLocation.entityType': 'Center',
+        'currentLocation.inTransit': { $ne: true },
+        status: { $in: HELD_STATUSES }
+      }
+    },
+    {
+      $group: {
+        _id: { centerId: '$currentLocation.entityId', bloodGroup: '$bloodGroup' },
+        total: { $sum: 1 },
+        available: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] } },
+        expiringSoon: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$status', 'available'] }, { $lte: ['$expiryDate', expiringBefore] }] },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  // Units used or discarded yesterday or today, attributed like stock to the center
+  // that last held them: where they are now, else the last center they left
+  const outflow = await BloodDonation.aggregate([
+    { $match: { 'statusHistory.changedAt': { $gte: previousDayStart, $lt: dayEnd } } },
+    {
+      $addFields: {
+        heldAt: {
+          $cond: [
+            { $eq: ['$currentLocation.entityType', 'Center'] },
+            '$currentLocation.entityId',
+            {
+              $ifNull: [
+                {
+                  $arrayElemAt: [
+                    {
+                      $map: {
+                        input: { $filter: { input: '$transferHistory', cond: { $eq: ['$$this.fromType', 'Center'] } } },
+                        in: '$$this.fromId'
+                      }
+                    },
+                    -1
+                  ]
+                },
+                '$centerId'
+              ]
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$statusHistory' },
+    {
+      $match: {
+        'statusHistory.to': { $in: ['used', 'discarded'] },
+        'statusHistory.changedAt': { $gte: previousDayStart, $lt: dayEnd }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          centerId: '$heldAt',
+          bloodGroup: '$bloodGroup',
+          status: '$statusHistory.to',
+          today: { $gte: ['$statusHistory.changedAt', dayStart] }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  // Index the aggregation results by center and blood group
+  const stockByKey = new Map(
+    stock.map(row => [`${row._id.centerId}:${row._id.bloodGroup}`, row])
+  );
+  const outflowByKey = new Map(
+    outflow.map(row => [
+      `${row._id.today ? 'today' : 'previous'}:${row._id.centerId}:${row._id.bloodGroup}:${row._id.status}`,
+      row.count
+    ])
+  );
+
+  const outflowFor = (day, centerId, bloodGroup) => ({
+    used: outflowByKey.get(`${day}:${centerId}:${bloodGroup}:used`) || 0,
+    discarded: outflowByKey.get(`${day}:${centerId}:${bloodGroup}:discarded`) || 0
+  });
+
+  const countsFor = (centerId, bloodGroup) => {
+    const held = stockByKey.get(`${centerId}:${bloodGroup}`);
+
+    return {
+      total: held?.total || 0,
+      available: held?.available || 0,
+      expiringSoon: held?.expiringSoon || 0,
+      ...outflowFor('today', centerId, bloodGroup)
+    };
+  };
+
+  // Every center gets a row per blood group so empty shelves show up as zeros
+  const centers = await Center.find().select('_id ngoId');
+  const operations = [];
+  centers.forEach(center => {
+    BLOOD_GROUPS.forEach(bloodGroup => {
+      operations.push({
+        updateOne: {
+          filter: { date: dayStart, centerId: center._id, bloodGroup },
+          update: {
+            $set: {
+              ngoId: center.ngoId,
+              ...countsFor(center._id.toString(), bloodGroup)
+            }
+          },
+          upsert: true
+        }
+      });
+      // Yesterday's stock figures stand; only its outflow can still grow
+      operations.push({
+        updateOne: {
+          filter: { date: previousDayStart, centerId: center._id, bloodGroup },
+          update: { $set: outflowFor('previous', center._id.toString(), bloodGroup) }
+        }
+      });
+    });
+  });
+
+  if (operations.length) {
+    await InventorySnapshot.bulkWrite(operations);
+  }
+
+  return {
+    date: dayStart,
+    centers: centers.length,
+    snapshots: centers.length * BLOOD_GROUPS.length
+  };
+};
+
+export { runInventorySnapshot };
@@ -0,0 +1,14 @@
+import BloodDonation from "../models/blood.models.js";
+
+/**
+ * Release reservations that were not dispatched before they expired
+ */
+const runReservationExpiry = async () => {
+  const releasedUnits = await BloodDonation.releaseReservations({
+    'reservation.expiresAt': { $lte: new Date() }
+  });
+
+  return { releasedUnits };
+};
+
+export { runReservationExpiry };
@@ -0,0 +1,130 @@
+import BloodRequest from "../models/bloodrequest.models.js";
+import Hospital from "../models/hospital.models.js";
+import NGO from "../models/ngo.models.js";
+import Admin from "../models/admin.models.js";
+import { ESCALATION_LEVELS, getSlaMinutes } from "../utils/sla.js";
+import { sendSlaEscalationEmail } from "../utils/emailService.js";
+
+// Requests that have not been dispatched yet, so their delivery SLA is still running
+const UNDISPATCHED_STATUSES = ['Pending', 'Accepted', 'Processing', 'Partially Fulfilled'];
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Work out who is notified at an escalation level
+ * The NGO level goes to the owning NGO, or to the NGOs yet to answer a broadcast;
+ * the hospital level goes to its emergency contact, or to the hospital account without one
+ */
+const getRecipients = async (request, level) => {
+  if (level === 'NGO') {
+    const query = request.ngoId
+      ? { _id: request.ngoId }
+      : {
+        _id: {
+          $in: (request.broadcast?.ngos || [])
+            .filter(item => item.response === 'Pending')
+            .map(item => item.ngoId)
+        }
+      };
+    const ngos = await NGO.find(query).select('name email contactPerson');
+    return ngos.map(ngo => ({ email: ngo.email, name: ngo.contactPerson?.name || ngo.name }));
+  }
+
+  if (level === 'Hospital') {
+    const hospital = await Hospital.findById(request.hospitalId).select('name email emergencyContact');
+    if (!hospital) return [];
+    const { email, name } = hospital.emergencyContact || {};
+    return [{ email: email || hospital.email, name: name || hospital.name }];
+  }
+
+  const admins = await Admin.find().select('email fullName');
+  return admins.map(admin => ({ email: admin.email, name: admin.fullName }));
+};
+
+/**
+ * Record SLA breaches on overdue blood requests and escalate them
+ * Each breach climbs one level per run (NGO, then hospital emergency contact, then admins),
+ * waiting the urgency level's escalation interval between levels
+ */
+const runSlaEscalation = async () => {
+  const now = new Date();
+  const overdue = await BloodRequest.find({
+    status: { $in: UNDISPATCHED_STATUSES },
+    $or: [
+      { status: 'Pending', 'sla.responseDueAt': { $lte: now } },
+      { 'sla.deliveryDueAt': { $lte: now } }
+    ]
+  }).select('hospitalId ngoId status urgencyLevel bloodGroups broadcast sla');
+
+  const result = { overdueRequests: overdue.length, breachesRecorded: 0, escalations: 0, emailsFailed: 0 };
+  if (!overdue.length) return result;
+
+  const names = async (request) => {
+    const [hospital, ngo] = await Promise.all([
+      Hospital.findById(request.hospitalId).select('name'),
+      request.ngoId ? NGO.findById(request.ngoId).select('name') : null
+    ]);
+    return { hospitalName: hospital?.name, ngoName: ngo?.name };
+  };
+
+  for (const request of overdue) {
+    const breachTypes = [];
+    if (request.status === 'Pending' && request.sla.responseDueAt <= now) breachTypes.push('response');
+    if (request.sla.deliveryDueAt <= now) breachTypes.push('delivery');
+
+    const escalationMinutes = getSlaMinutes(request.urgencyLevel).escalation;
+    const breaches = [];
+    const escalations = [];
+    let summary = null;
+
+    for (const breachType of breachTypes) {
+      if (!request.sla.breaches.some(breach => breach.type === breachType)) {
+        breaches.push({ type: breachType, breachedAt: now });
+        result.breachesRecorded += 1;
+      }
+
+      const previous = request.sla.escalations.filter(escalation => escalation.breachType === breachType);
+      const level = ESCALATION_LEVELS[previous.length];
+      const lastNotifiedAt = previous[previous.length - 1]?.notifiedAt;
+      if (!level || (lastNotifiedAt && now - lastNotifiedAt < escalationMinutes * MINUTE)) continue;
+
+      summary = summary || {
+        id: request._id.toString(),
+        urgencyLevel: request.urgencyLevel,
+        lines: request.bloodGroups,
+        ...(await names(request))
+      };
+      const dueAt = breachType === 'response' ? request.sla.responseDueAt : request.sla.deliveryDueAt;
+      const recipients = await getRecipients(request, level);
+      for (const recipient of recipients) {
+        const sent = await sendSlaEscalationEmail(recipient.email, recipient.name, summary, breachType, dueAt, level);
+        if (!sent) result.emailsFailed += 1;
+      }
+
+      escalations.push({
+        level,
+        breachType,
+        recipients: recipients.map(recipient => recipient.email),
+        notifiedAt: now
+      });
+      result.escalations += 1;
+    }
+
+    if (!breaches.length && !escalations.length) continue;
+
+    // Only record against the status we checked, in case the request moved in the meantime
+    await BloodRequest.updateOne(
+      { _id: request._id, status: request.status },
+      {
+        $push: {
+          'sla.breaches': { $each: breaches },
+          'sla.escalations': { $each: escalations }
+        }
+      }
+    );
+  }
+
+  return result;
+};
+
+export { runSlaEscalation };
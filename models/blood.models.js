@@ -1,4 +1,57 @@
 import mongoose from 'mongoose';
+import { ApiError } from '../utils/ApiError.js';
+
+// Blood components produced when a whole-blood donation is separated
+export const COMPONENT_TYPES = ['WholeBlood', 'PackedRedCells', 'Plasma', 'Platelets', 'Cryoprecipitate'];
+
+// Shelf life of each component in days, counted from the donation date
+export const COMPONENT_SHELF_LIFE_DAYS = {
+  WholeBlood: 42,
+  PackedRedCells: 42,
+  Plasma: 365, // Fresh frozen plasma stored at -18°C or below
+  Platelets: 5,
+  Cryoprecipitate: 365
+};
+
+// Safe storage temperature range of each component in °C
+export const COMPONENT_STORAGE_RANGES = {
+  WholeBlood: { min: 2, max: 6 },
+  PackedRedCells: { min: 2, max: 6 },
+  Plasma: { min: -80, max: -18 },
+  Platelets: { min: 20, max: 24 },
+  Cryoprecipitate: { min: -80, max: -18 }
+};
+
+// Lifecycle of a blood unit: the statuses each status may move to
+export const STATUS_TRANSITIONS = {
+  processing: ['available', 'separated', 'quarantined', 'discarded', 'expired'],
+  available: ['assigned', 'used', 'separated', 'quarantined', 'discarded', 'expired'],
+  assigned: ['available', 'used', 'quarantined', 'discarded', 'expired'],
+  quarantined: ['processing', 'available', 'assigned', 'discarded', 'expired'],
+  used: [],
+  expired: [],
+  discarded: [],
+  separated: []
+};
+
+// Terminal statuses can never be left and require a reason
+export const TERMINAL_STATUSES = ['used', 'expired', 'discarded', 'separated'];
+
+// Standard reasons for discarding a unit (used in wastage reporting)
+export const DISCARD_REASONS = [
+  'Expired',
+  'Reactive Screening',
+  'Broken Bag',
+  'Temperature Excursion',
+  'Underweight Collection',
+  'Other'
+];
+
+// Condition of a unit as inspected by the receiver of a transfer
+export const INSPECTION_RESULTS = ['Acceptable', 'Damaged', 'Temperature Breach', 'Seal Broken'];
+
+// How a discarded unit was disposed of
+export const DISPOSAL_METHODS = ['Incineration', 'Autoclave', 'Chemical Disinfection', 'Other'];
 
 const bloodDonationSchema = new mongoose.Schema({
   // Reference to user who donated
@@ -32,6 +85,21 @@ const bloodDonationSchema = new mongoose.Schema({
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
     index: true // Add index for faster queries by blood group
   },
+  // Component of the donation this unit holds (whole blood until separated)
+  componentType: {
+    type: String,
+    enum: COMPONENT_TYPES,
+    default: 'WholeBlood',
+    index: true
+  },
+  // For component units: the whole-blood donation they were separated from
+  parentDonationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodDonation',
+    index: true
+  },
+  // Volume of a separated component (in ml)
+  componentVolume: Number,
   // Amount of blood donated (in ml)
   donationAmount: {
     type: Number,
@@ -58,11 +126,111 @@ const bloodDonationSchema = new mongoose.Schema({
     temperature: Number
   },
   // Status of donation (processing, available, used)
+  // 'separated' marks a whole-blood donation that has been split into components
+  // 'quarantined' holds a unit out of circulation, e.g. during a donor lookback
   status: { 
     type: String,
-    enum: ['processing', 'available', 'assigned', 'used', 'expired', 'discarded'],
+    enum: ['processing', 'available', 'assigned', 'used', 'expired', 'discarded', 'separated', 'quarantined'],
     default: 'processing'
   },
+  // Append-only record of every status change
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      entityId: mongoose.Schema.Types.ObjectId,
+      entityType: {
+        type: String,
+        enum: ['NGO', 'Admin', 'Hospital', 'System'],
+        default: 'System'
+      }
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Refrigerator/freezer the unit is stored in
+  storageUnitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageUnit',
+    index: true
+  },
+  // Set while the unit may not be transferred (e.g. after a temperature excursion)
+  transferHold: {
+    incidentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExcursionIncident'
+    },
+    reason: String,
+    placedAt: Date
+  },
+  // Set while the unit is quarantined
+  quarantine: {
+    recallId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recall'
+    },
+    previousStatus: String,
+    quarantinedAt: Date
+  },
+  // Set when the unit is discarded
+  discard: {
+    reasonCode: {
+      type: String,
+      enum: DISCARD_REASONS
+    },
+    details: String,
+    disposalMethod: {
+      type: String,
+      enum: DISPOSAL_METHODS
+    },
+    approvedBy: String, // Staff member who approved the discard
+    discardedAt: Date
+  },
+  // Set while the unit is held for a blood request awaiting dispatch
+  // (the reservation lapses at expiresAt and the expiry job clears it)
+  reservation: {
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodRequest'
+    },
+    reservedBy: {
+      entityId: mongoose.Schema.Types.ObjectId,
+      entityType: String
+    },
+    reservedAt: Date,
+    expiresAt: Date
+  },
+  // Owning NGOs the unit passed through (e.g. when lent to a partner NGO)
+  ownershipHistory: [{
+    fromNgoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NGO'
+    },
+    toNgoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NGO'
+    },
+    loanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLoan'
+    },
+    transferredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Blood request the unit was allocated to
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    index: true
+  },
   // Expiration date (calculated based on donation date)
   expiryDate: {
     type: Date
@@ -89,7 +257,36 @@ const bloodDonationSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    reason: String
+    reason: String,
+    // Chain of custody: dispatch by the sender, then receipt by the destination (or return to the sender)
+    handoffStatus: {
+      type: String,
+      enum: ['In Transit', 'Received', 'Returned']
+    },
+    dispatchedBy: {
+      entityId: mongoose.Schema.Types.ObjectId,
+      entityType: String
+    },
+    courier: {
+      name: String,
+      phone: String,
+      vehicleNumber: String
+    },
+    packingTemperature: Number, // °C when packed for transport
+    receivedBy: {
+      entityId: mongoose.Schema.Types.ObjectId,
+      entityType: String,
+      name: String
+    },
+    receivedAt: Date,
+    returnedAt: Date,
+    inspection: {
+      result: {
+        type: String,
+        enum: INSPECTION_RESULTS
+      },
+      notes: String
+    }
   }],
   // Current location of the blood unit
   currentLocation: {
@@ -102,6 +299,11 @@ const bloodDonationSchema = new mongoose.Schema({
       enum: ['NGO', 'Center', 'Hospital'],
       default: 'Center'
     },
+    // True while the unit is on its way to entityId and receipt has not been confirmed
+    inTransit: {
+      type: Boolean,
+      default: false
+    },
     updatedAt: {
       type: Date,
       default: Date.now
@@ -125,12 +327,30 @@ bloodDonationSchema.index({ centerId: 1, bloodGroup: 1 });
 bloodDonationSchema.index({ status: 1, expiryDate: 1 });
 bloodDonationSchema.index({ 'currentLocation.entityId': 1, 'currentLocation.entityType': 1 });
 
-// Pre-save hook to calculate expiry date (typically 42 days for whole blood)
+bloodDonationSchema.index({ parentDonationId: 1, componentType: 1 });
+
+// Pre-save hook to calculate expiry date from the component's shelf life
 bloodDonationSchema.pre('save', function(next) {
   if (!this.expiryDate && this.donationDate) {
-    // Set expiry to 42 days after donation
+    // Set expiry to the shelf life of the component (42 days for whole blood)
+    const shelfLife = COMPONENT_SHELF_LIFE_DAYS[this.componentType] || COMPONENT_SHELF_LIFE_DAYS.WholeBlood;
     this.expiryDate = new Date(this.donationDate);
-    this.expiryDate.setDate(this.expiryDate.getDate() + 42);
+    this.expiryDate.setDate(this.expiryDate.getDate() + shelfLife);
+  }
+  
+  // Status changes must go through changeStatus so they are validated and recorded
+  if (this.isNew) {
+    if (!this.statusHistory.length) {
+      this.statusHistory.push({
+        from: null,
+        to: this.status,
+        changedBy: this.$locals.statusActor || { entityType: 'System' },
+        note: this.$locals.statusNote || 'Unit registered',
+        changedAt: new Date()
+      });
+    }
+  } else if (this.isModified('status') && !this.$locals.statusTransition) {
+    return next(new ApiError(500, 'Blood unit status must be changed through changeStatus()'));
   }
   
   // Initialize current location if not set
@@ -143,13 +363,144 @@ bloodDonationSchema.pre('save', function(next) {
   next();
 });
 
+// Clear the transition flag once the change is persisted
+bloodDonationSchema.post('save', function() {
+  this.$locals.statusTransition = false;
+});
+
+// Method to get the statuses this unit may move to next
+bloodDonationSchema.methods.getAllowedTransitions = function() {
+  return STATUS_TRANSITIONS[this.status] || [];
+};
+
+// Method to move the unit to a new status (validated and recorded in statusHistory)
+// actor: { entityId, entityType } of whoever made the change
+bloodDonationSchema.methods.changeStatus = function(nextStatus, { actor, note } = {}) {
+  const allowed = this.getAllowedTransitions();
+  
+  if (!allowed.includes(nextStatus)) {
+    throw new ApiError(
+      409,
+      `Cannot change blood unit status from '${this.status}' to '${nextStatus}'. Allowed next states: ${allowed.length ? allowed.join(', ') : 'none'}`,
+      [{ currentStatus: this.status, allowedNextStatuses: allowed }]
+    );
+  }
+  
+  if (TERMINAL_STATUSES.includes(nextStatus) && !note?.trim()) {
+    throw new ApiError(400, `A reason is required to mark a blood unit as ${nextStatus}`);
+  }
+  
+  this.statusHistory.push({
+    from: this.status,
+    to: nextStatus,
+    changedBy: actor || { entityType: 'System' },
+    note,
+    changedAt: new Date()
+  });
+  this.status = nextStatus;
+  this.$locals.statusTransition = true;
+  
+  return this;
+};
+
+// Method to discard the unit with a standard reason code and the approving staff member
+// Does not save; callers save the unit like after changeStatus
+bloodDonationSchema.methods.discardUnit = function({ reasonCode, details, disposalMethod, approvedBy, actor }) {
+  if (!DISCARD_REASONS.includes(reasonCode)) {
+    throw new ApiError(400, `Discard reason must be one of: ${DISCARD_REASONS.join(', ')}`);
+  }
+  if (reasonCode === 'Other' && !details?.trim()) {
+    throw new ApiError(400, "Details are required when the discard reason is 'Other'");
+  }
+  if (disposalMethod && !DISPOSAL_METHODS.includes(disposalMethod)) {
+    throw new ApiError(400, `Disposal method must be one of: ${DISPOSAL_METHODS.join(', ')}`);
+  }
+  if (!approvedBy?.trim()) {
+    throw new ApiError(400, "Name of the staff member approving the discard is required");
+  }
+  
+  this.changeStatus('discarded', {
+    actor,
+    note: details ? `${reasonCode}: ${details}` : reasonCode
+  });
+  this.discard = {
+    reasonCode,
+    details,
+    disposalMethod,
+    approvedBy,
+    discardedAt: new Date()
+  };
+  
+  return this;
+};
+
+// Method to get the NGO that collected the unit (lent units are owned by the borrower)
+bloodDonationSchema.methods.getCollectingNgoId = function() {
+  return this.ownershipHistory?.[0]?.fromNgoId || this.ngoId;
+};
+
+// Query matching units collected by an NGO, including those it has since lent out
+bloodDonationSchema.statics.collectedByQuery = function(ngoId) {
+  return {
+    $or: [
+      { ngoId, 'ownershipHistory.0': { $exists: false } },
+      { 'ownershipHistory.0.fromNgoId': ngoId }
+    ]
+  };
+};
+
+// Method to check if the unit is currently reserved (optionally for a request other than requestId)
+bloodDonationSchema.methods.isReserved = function(exceptRequestId) {
+  if (!this.reservation?.expiresAt || this.reservation.expiresAt <= new Date()) return false;
+  return !exceptRequestId || this.reservation.requestId?.toString() !== exceptRequestId.toString();
+};
+
+// Method to reserve an available unit for a blood request for holdMinutes
+// Does not save; callers save the unit
+bloodDonationSchema.methods.reserveFor = function(requestId, holdMinutes, actor) {
+  if (this.status !== 'available' || this.expiryDate <= new Date()) {
+    throw new ApiError(409, `Only available units can be reserved (status: ${this.status})`);
+  }
+  if (this.transferHold?.incidentId) {
+    throw new ApiError(409, `Blood unit is on hold and cannot be reserved: ${this.transferHold.reason}`);
+  }
+  if (this.isReserved(requestId)) {
+    throw new ApiError(409, `Blood unit is already reserved for blood request ${this.reservation.requestId}`);
+  }
+  
+  const reservedAt = new Date();
+  this.reservation = {
+    requestId,
+    reservedBy: actor,
+    reservedAt,
+    expiresAt: new Date(reservedAt.getTime() + holdMinutes * 60 * 1000)
+  };
+  
+  return this;
+};
+
 // Method to check if blood donation is still valid
 bloodDonationSchema.methods.isValid = function() {
   return this.status === 'available' && new Date() < this.expiryDate;
 };
 
-// Method to transfer blood to a different entity (NGO, Center, Hospital)
-bloodDonationSchema.methods.transferTo = async function(toEntityId, toEntityType, reason) {
+// Method to dispatch blood to a different entity (NGO, Center, Hospital)
+// The unit stays in transit until the destination confirms receipt with receiveTransfer()
+// handoff: { courier: { name, phone, vehicleNumber }, packingTemperature, actor }
+bloodDonationSchema.methods.transferTo = async function(toEntityId, toEntityType, reason, handoff = {}) {
+  // Units on hold (e.g. after a temperature excursion) cannot move
+  if (this.transferHold?.incidentId) {
+    throw new ApiError(409, `Blood unit is on hold and cannot be transferred: ${this.transferHold.reason}`);
+  }
+  
+  if (this.currentLocation.inTransit) {
+    throw new ApiError(409, "Blood unit is already in transit and must be received before it can be transferred again");
+  }
+  
+  if (!handoff.courier?.name || handoff.packingTemperature === undefined || Number.isNaN(Number(handoff.packingTemperature))) {
+    throw new ApiError(400, "Courier name and packing temperature are required to dispatch a blood unit");
+  }
+  
   // Add to transfer history
   this.transferHistory.push({
     fromId: this.currentLocation.entityId,
@@ -157,16 +508,98 @@ bloodDonationSchema.methods.transferTo = async function(toEntityId, toEntityType
     toId: toEntityId,
     toType: toEntityType,
     transferDate: new Date(),
-    reason: reason || 'Transfer requested'
+    reason: reason || 'Transfer requested',
+    handoffStatus: 'In Transit',
+    dispatchedBy: handoff.actor,
+    courier: handoff.courier,
+    packingTemperature: Number(handoff.packingTemperature)
   });
   
-  // Update current location
+  // The unit is on its way to the destination
   this.currentLocation = {
     entityId: toEntityId,
     entityType: toEntityType,
+    inTransit: true,
+    updatedAt: new Date()
+  };
+  
+  // The unit leaves its storage unit when it moves
+  this.storageUnitId = undefined;
+  
+  // A reservation is fulfilled once the unit goes to a hospital
+  if (toEntityType === 'Hospital') {
+    this.reservation = undefined;
+  }
+  
+  return this.save();
+};
+
+// Method to confirm receipt of an in-transit unit at its destination
+// A failed inspection quarantines the unit (when its status allows it)
+// receipt: { receiverName, inspectionResult, notes, actor }
+bloodDonationSchema.methods.receiveTransfer = async function({ receiverName, inspectionResult, notes, actor }) {
+  if (!this.currentLocation.inTransit) {
+    throw new ApiError(409, "Blood unit is not in transit");
+  }
+  
+  if (!receiverName?.trim()) {
+    throw new ApiError(400, "Name of the person receiving the blood unit is required");
+  }
+  
+  if (!INSPECTION_RESULTS.includes(inspectionResult)) {
+    throw new ApiError(400, `Inspection result must be one of: ${INSPECTION_RESULTS.join(', ')}`);
+  }
+  
+  const transfer = this.transferHistory[this.transferHistory.length - 1];
+  transfer.handoffStatus = 'Received';
+  transfer.receivedBy = {
+    entityId: actor?.entityId,
+    entityType: actor?.entityType,
+    name: receiverName
+  };
+  transfer.receivedAt = new Date();
+  transfer.inspection = { result: inspectionResult, notes };
+  
+  this.currentLocation.inTransit = false;
+  this.currentLocation.updatedAt = new Date();
+  
+  if (inspectionResult !== 'Acceptable' && this.getAllowedTransitions().includes('quarantined')) {
+    this.quarantine = {
+      previousStatus: this.status,
+      quarantinedAt: new Date()
+    };
+    this.changeStatus('quarantined', {
+      actor,
+      note: `Failed receipt inspection: ${inspectionResult}${notes ? ` (${notes})` : ''}`
+    });
+  }
+  
+  return this.save();
+};
+
+// Method to call an in-transit unit back to where it was dispatched from (e.g. when its request is cancelled)
+// An assigned unit becomes available again
+bloodDonationSchema.methods.returnToSender = async function({ reason, actor } = {}) {
+  if (!this.currentLocation.inTransit) {
+    throw new ApiError(409, "Only blood units in transit can be returned");
+  }
+  
+  const transfer = this.transferHistory[this.transferHistory.length - 1];
+  transfer.handoffStatus = 'Returned';
+  transfer.returnedAt = new Date();
+  
+  this.currentLocation = {
+    entityId: transfer.fromId,
+    entityType: transfer.fromType,
+    inTransit: false,
     updatedAt: new Date()
   };
   
+  if (this.status === 'assigned') {
+    this.changeStatus('available', { actor, note: reason || 'Returned to sender' });
+  }
+  this.requestId = undefined;
+  
   return this.save();
 };
 
@@ -175,12 +608,24 @@ bloodDonationSchema.statics.findAvailableByBloodGroup = function(bloodGroup, opt
   const query = {
     bloodGroup,
     status: 'available',
-    expiryDate: { $gt: new Date() }
+    expiryDate: { $gt: new Date() },
+    // Units on hold or in transit cannot be handed out
+    'transferHold.incidentId': { $exists: false },
+    'currentLocation.inTransit': { $ne: true }
   };
   
+  // Units reserved for a request are excluded, except those reserved for options.reservedFor
+  const notReserved = { 'reservation.expiresAt': { $not: { $gt: new Date() } } };
+  if (options.reservedFor) {
+    query.$or = [notReserved, { 'reservation.requestId': options.reservedFor }];
+  } else {
+    Object.assign(query, notReserved);
+  }
+  
   // Add optional filters if provided
   if (options.ngoId) query.ngoId = options.ngoId;
   if (options.centerId) query.centerId = options.centerId;
+  if (options.componentType) query.componentType = options.componentType;
   
   return this.find(query)
     .sort({ expiryDate: 1 }) // Sort by expiry date (oldest first)
@@ -188,6 +633,155 @@ bloodDonationSchema.statics.findAvailableByBloodGroup = function(bloodGroup, opt
     .populate('centerId', 'name location.city'); // Populate center details
 };
 
+// Static method to release reservations matching the filter and refresh the holding centers' inventory
+bloodDonationSchema.statics.releaseReservations = async function(filter = {}) {
+  const units = await this.find({ ...filter, 'reservation.requestId': { $exists: true } })
+    .select('currentLocation');
+  
+  if (!units.length) return 0;
+  
+  await this.updateMany(
+    { _id: { $in: units.map(unit => unit._id) } },
+    { $unset: { reservation: 1 } }
+  );
+  
+  const centerIds = new Set(
+    units
+      .filter(unit => unit.currentLocation?.entityType === 'Center')
+      .map(unit => unit.currentLocation.entityId.toString())
+  );
+  for (const centerId of centerIds) {
+    const center = await mongoose.model('Center').findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+  
+  return units.length;
+};
+
+// Method to separate a whole-blood donation into component units
+bloodDonationSchema.methods.separateIntoComponents = async function(components, notes, actor) {
+  const BloodDonation = this.constructor;
+
+  const componentUnits = components.map(component => new BloodDonation({
+    userId: this.userId,
+    ngoId: this.ngoId,
+    centerId: this.centerId,
+    centerType: this.centerType,
+    bloodGroup: this.bloodGroup,
+    donationAmount: this.donationAmount,
+    donationDate: this.donationDate,
+    donationCenter: this.donationCenter,
+    componentType: component.componentType,
+    componentVolume: component.volume,
+    parentDonationId: this._id,
+    status: this.status,
+    // An explicit expiry (e.g. from the lab) overrides the default shelf life
+    expiryDate: component.expiryDate ? new Date(component.expiryDate) : undefined,
+    currentLocation: {
+      entityId: this.currentLocation.entityId,
+      entityType: this.currentLocation.entityType,
+      updatedAt: new Date()
+    },
+    notes: component.notes
+  }));
+  
+  // Record where each component's lifecycle started
+  componentUnits.forEach(unit => {
+    unit.$locals.statusActor = actor;
+    unit.$locals.statusNote = `Separated from donation ${this._id}`;
+  });
+
+  const savedUnits = [];
+  for (const unit of componentUnits) {
+    savedUnits.push(await unit.save());
+  }
+
+  // The parent donation no longer exists as a usable unit
+  this.changeStatus('separated', {
+    actor,
+    note: notes || `Separated into ${savedUnits.map(unit => unit.componentType).join(', ')}`
+  });
+  if (notes) this.notes = notes;
+  await this.save();
+
+  return savedUnits;
+};
+
+// Static method to break down discarded and expired units by reason, center, blood group and month
+// match: extra filters (e.g. ngoId, centerId, bloodGroup); from/to bound the date the unit was wasted
+bloodDonationSchema.statics.getWastageReport = async function(match = {}, { from, to } = {}) {
+  const wastedAtRange = {};
+  if (from) wastedAtRange.$gte = new Date(from);
+  if (to) wastedAtRange.$lte = new Date(to);
+  if (Object.values(wastedAtRange).some(date => Number.isNaN(date.getTime()))) {
+    throw new ApiError(400, "Invalid date range: 'from' and 'to' must be valid dates");
+  }
+  
+  const pipeline = [
+    { $match: { ...match, status: { $in: ['discarded', 'expired'] } } },
+    {
+      $addFields: {
+        // Units discarded before reason codes existed are reported as Unspecified
+        wastageReason: {
+          $cond: [
+            { $eq: ['$status', 'expired'] },
+            'Expired',
+            { $ifNull: ['$discard.reasonCode', 'Unspecified'] }
+          ]
+        },
+        wastedAt: { $ifNull: ['$discard.discardedAt', { $last: '$statusHistory.changedAt' }] }
+      }
+    }
+  ];
+  if (Object.keys(wastedAtRange).length) {
+    pipeline.push({ $match: { wastedAt: wastedAtRange } });
+  }
+  
+  const countBy = (field) => [
+    { $group: { _id: field, units: { $sum: 1 } } },
+    { $sort: { units: -1 } }
+  ];
+  
+  pipeline.push({
+    $facet: {
+      totals: [
+        { $group: { _id: '$status', units: { $sum: 1 } } }
+      ],
+      byReason: countBy('$wastageReason'),
+      byCenter: [
+        ...countBy('$centerId'),
+        { $lookup: { from: 'centers', localField: '_id', foreignField: '_id', as: 'center' } },
+        { $project: { _id: 0, centerId: '$_id', centerName: { $first: '$center.name' }, units: 1 } }
+      ],
+      byBloodGroup: countBy('$bloodGroup'),
+      byMonth: [
+        { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$wastedAt' } }, units: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ],
+      byDisposalMethod: [
+        { $match: { status: 'discarded' } },
+        ...countBy({ $ifNull: ['$discard.disposalMethod', 'Unrecorded'] })
+      ]
+    }
+  });
+  
+  const [result] = await this.aggregate(pipeline);
+  const rename = (rows, key) => rows.map(({ _id, units }) => ({ [key]: _id, units }));
+  const totals = { discarded: 0, expired: 0 };
+  result.totals.forEach(row => { totals[row._id] = row.units; });
+  
+  return {
+    totals: { ...totals, total: totals.discarded + totals.expired },
+    byReason: rename(result.byReason, 'reason'),
+    byCenter: result.byCenter,
+    byBloodGroup: rename(result.byBloodGroup, 'bloodGroup'),
+    byMonth: rename(result.byMonth, 'month'),
+    byDisposalMethod: rename(result.byDisposalMethod, 'disposalMethod')
+  };
+};
+
 // Admin methods for blood management
 bloodDonationSchema.statics.findForAdmin = function(filters = {}, page = 1, limit = 50) {
   const query = {};
@@ -215,18 +809,20 @@ bloodDonationSchema.statics.findForAdmin = function(filters = {}, page = 1, limi
 
 // Method to verify and update the status of blood units
 bloodDonationSchema.statics.verifyAndUpdateStatus = async function(bloodId, adminId, status, notes) {
-  return this.findByIdAndUpdate(
-    bloodId,
-    {
-      status,
-      adminNotes: notes,
-      lastVerifiedBy: {
-        adminId,
-        date: new Date()
-      }
-    },
-    { new: true }
-  );
+  const donation = await this.findById(bloodId);
+  if (!donation) return null;
+  
+  donation.changeStatus(status, {
+    actor: { entityId: adminId, entityType: 'Admin' },
+    note: notes
+  });
+  donation.adminNotes = notes;
+  donation.lastVerifiedBy = {
+    adminId,
+    date: new Date()
+  };
+  
+  return donation.save();
 };
 
 const BloodDonation = mongoose.model('BloodDonation', bloodDonationSchema);
@@ -1,5 +1,106 @@
 // You can create this in bloodRequest.models.js
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { COMPONENT_TYPES } from './blood.models.js';
+import { ApiError } from '../utils/ApiError.js';
+import { BLOOD_GROUPS, getLineDonorGroups, lineAcceptsComponent } from '../utils/bloodCompatibility.js';
+import { ESCALATION_LEVELS, getSlaMinutes } from '../utils/sla.js';
+
+export const REQUEST_STATUSES = ['Pending', 'Accepted', 'Rejected', 'Processing', 'Partially Fulfilled', 'En Route', 'Delivered', 'Completed', 'Cancelled'];
+
+// Lifecycle of a blood request: for each status, the statuses it may move to and who may move it there
+// NGOs accept, reject and dispatch; hospitals confirm delivery and complete, or cancel before dispatch
+// A partially fulfilled request returns to Processing once its lines are filled, closed out or forwarded
+export const REQUEST_STATUS_TRANSITIONS = {
+  Pending: { Accepted: ['NGO'], Rejected: ['NGO', 'System'], Processing: ['NGO'], 'Partially Fulfilled': ['NGO'], Cancelled: ['Hospital'] },
+  Accepted: { Processing: ['NGO'], 'Partially Fulfilled': ['NGO'], 'En Route': ['NGO'], Rejected: ['NGO'], Cancelled: ['Hospital'] },
+  Processing: { 'Partially Fulfilled': ['NGO'], 'En Route': ['NGO'], Cancelled: ['Hospital'] },
+  'Partially Fulfilled': { Processing: ['NGO'], Cancelled: ['Hospital'] },
+  'En Route': { Delivered: ['Hospital'] },
+  Delivered: { Completed: ['Hospital'] },
+  Rejected: {},
+  Completed: {},
+  Cancelled: {}
+};
+
+// Auto-accept either accepts a request or refers it to staff, naming the rule that decided
+export const AUTO_ACCEPT_RULES = [
+  'connectedHospitals',
+  'allowedUrgencyLevels',
+  'excludedBloodGroups',
+  'maxUnitsPerRequest',
+  'availableStock',
+  'allRulesPassed'
+];
+
+// Wrong delivery codes allowed in a row before confirmation is locked, and for how long
+export const DELIVERY_CODE_MAX_ATTEMPTS = 5;
+export const DELIVERY_CODE_LOCK_MINUTES = 15;
+
+// 'Taken' marks NGOs that had not responded when another NGO accepted the broadcast
+export const BROADCAST_RESPONSES = ['Pending', 'Accepted', 'Declined', 'Taken'];
+
+// SLA breaches: not accepted or rejected in time, or not dispatched in time
+export const SLA_BREACH_TYPES = ['response', 'delivery'];
+
+// Statuses that count as a response to the request, and the one that counts as dispatch
+const RESPONSE_STATUSES = ['Accepted', 'Rejected', 'Processing', 'Partially Fulfilled'];
+const DISPATCH_STATUS = 'En Route';
+
+export const ANTIBODY_SCREEN_RESULTS = ['Negative', 'Positive'];
+export const CROSSMATCH_RESULTS = ['Compatible', 'Incompatible'];
+export const CROSSMATCH_METHODS = ['Immediate Spin', 'Antiglobulin', 'Electronic'];
+
+// A patient sample can be crossmatched against for this long after it was collected
+export const CROSSMATCH_SAMPLE_VALID_HOURS = 72;
+
+// Pseudonymous patient a line is requested for; units for the line need a compatible crossmatch
+// Only the hospital and the NGO supplying the request may see it
+const patientSchema = new mongoose.Schema({
+  // Hospital's own reference for the patient, never a name
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS,
+    required: true
+  },
+  antibodyScreen: {
+    type: String,
+    enum: ANTIBODY_SCREEN_RESULTS,
+    required: true
+  },
+  sampleCollectedAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+// Lab staff member who entered a crossmatch result
+const enteredBySchema = new mongoose.Schema({
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+// Snapshot of a request line kept in the amendment history
+const amendedLineSchema = new mongoose.Schema({
+  bloodGroup: String,
+  units: Number,
+  componentType: String,
+  acceptSubstitutes: Boolean
+}, { _id: false });
 
 const bloodRequestSchema = new mongoose.Schema({
   hospitalId: {
@@ -7,10 +108,13 @@ const bloodRequestSchema = new mongoose.Schema({
     ref: 'Hospital',
     required: true
   },
+  // Broadcast requests have no NGO until one of the notified NGOs accepts
   ngoId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Ngo',
-    required: true
+    required: function() {
+      return !this.broadcast?.ngos?.length;
+    }
   },
   bloodGroups: [{
     bloodGroup: {
@@ -22,7 +126,33 @@ const bloodRequestSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 1
-    }
+    },
+    componentType: {
+      type: String,
+      enum: COMPONENT_TYPES
+    },
+    // Allow units of compatible blood groups when the exact group is short
+    acceptSubstitutes: {
+      type: Boolean,
+      default: false
+    },
+    // Units dispatched against this line
+    fulfilledUnits: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    donationIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodDonation'
+    }],
+    // Units the NGO will not supply (closed out or forwarded to another NGO)
+    closedOutUnits: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    patient: patientSchema
   }],
   urgencyLevel: {
     type: String,
@@ -31,10 +161,167 @@ const bloodRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Accepted', 'Rejected', 'Processing', 'En Route', 'Delivered', 'Completed'],
+    enum: REQUEST_STATUSES,
     default: 'Pending'
   },
+  // Every status change, oldest first
+  timeline: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      entityId: mongoose.Schema.Types.ObjectId,
+      entityType: {
+        type: String,
+        enum: ['NGO', 'Hospital', 'Admin', 'System'],
+        default: 'System'
+      }
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   requestNotes: String,
+  // Emergency broadcast: offered to every nearby NGO with matching stock, owned by the first to accept
+  broadcast: {
+    radiusKm: Number,
+    acceptedAt: Date,
+    ngos: [{
+      ngoId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NGO'
+      },
+      distanceKm: Number,
+      response: {
+        type: String,
+        enum: BROADCAST_RESPONSES,
+        default: 'Pending'
+      },
+      respondedAt: Date,
+      notes: String
+    }]
+  },
+  // One-time code issued on dispatch; the hospital presents it to confirm delivery
+  deliveryCode: {
+    codeHash: {
+      type: String,
+      select: false
+    },
+    issuedAt: Date,
+    verifiedAt: Date,
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    failedAttempts: [{
+      attemptedAt: Date,
+      receivedBy: String,
+      ip: String
+    }]
+  },
+  // Crossmatch results of units against the patient of a line (re-tests are appended, the latest counts)
+  crossmatches: [{
+    lineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    donationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodDonation',
+      required: true
+    },
+    result: {
+      type: String,
+      enum: CROSSMATCH_RESULTS,
+      required: true
+    },
+    method: {
+      type: String,
+      enum: CROSSMATCH_METHODS
+    },
+    notes: String,
+    enteredBy: enteredBySchema,
+    enteredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Changes the hospital made to the lines while the request was pending
+  amendments: [{
+    previousLines: [amendedLineSchema],
+    newLines: [amendedLineSchema],
+    reason: String,
+    amendedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Decision taken by the NGO's auto-accept settings when the request was created
+  autoDecision: {
+    decision: {
+      type: String,
+      enum: ['Accepted', 'Referred']
+    },
+    rule: {
+      type: String,
+      enum: AUTO_ACCEPT_RULES
+    },
+    reason: String,
+    decidedAt: Date
+  },
+  // Response and delivery deadlines set from the urgency level, with breaches and escalations
+  sla: {
+    responseDueAt: Date,
+    deliveryDueAt: Date,
+    respondedAt: Date,
+    dispatchedAt: Date,
+    breaches: [{
+      type: {
+        type: String,
+        enum: SLA_BREACH_TYPES
+      },
+      breachedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    escalations: [{
+      level: {
+        type: String,
+        enum: ESCALATION_LEVELS
+      },
+      breachType: {
+        type: String,
+        enum: SLA_BREACH_TYPES
+      },
+      recipients: [String],
+      notifiedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  // Outstanding units forwarded to another NGO as a new request, and the request this one was forwarded from
+  forwardedTo: {
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodRequest'
+    },
+    ngoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NGO'
+    },
+    forwardedAt: Date
+  },
+  forwardedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest'
+  },
   deliveryDetails: {
     estimatedDeliveryTime: Date,
     actualDeliveryTime: Date,
@@ -42,6 +329,30 @@ const bloodRequestSchema = new mongoose.Schema({
     receivedBy: String,
     confirmationCode: String
   },
+  // Units committed to the request by the NGO's allocation
+  allocation: {
+    committedAt: Date,
+    units: [{
+      donationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BloodDonation'
+      },
+      // Request line the unit fills (its blood group may be a compatible substitute)
+      lineId: mongoose.Schema.Types.ObjectId,
+      bloodGroup: String,
+      componentType: String,
+      centerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Center'
+      },
+      expiryDate: Date,
+      distanceKm: Number,
+      allocatedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   documents: [{
     name: String,
     fileUrl: String,
@@ -54,6 +365,317 @@ const bloodRequestSchema = new mongoose.Schema({
   timestamps: true
 });
 
+bloodRequestSchema.index({ 'broadcast.ngos.ngoId': 1, status: 1 });
+bloodRequestSchema.index({ status: 1, 'sla.responseDueAt': 1, 'sla.deliveryDueAt': 1 });
+
+// Timeline entry for a status change (also used by atomic updates that bypass changeStatus)
+export const buildTimelineEntry = (from, to, { actor, note } = {}) => ({
+  from,
+  to,
+  changedBy: actor || { entityType: 'System' },
+  note,
+  changedAt: new Date()
+});
+
+// Status changes must go through changeStatus so they are validated and recorded
+bloodRequestSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (!this.timeline.length) {
+      this.timeline.push({
+        from: null,
+        to: this.status,
+        changedBy: this.$locals.statusActor || { entityId: this.hospitalId, entityType: 'Hospital' },
+        note: this.$locals.statusNote || 'Request created',
+        changedAt: new Date()
+      });
+    }
+    
+    if (!this.sla?.responseDueAt) {
+      const minutes = getSlaMinutes(this.urgencyLevel);
+      const createdAt = this.createdAt || new Date();
+      this.sla.responseDueAt = new Date(createdAt.getTime() + minutes.response * 60 * 1000);
+      this.sla.deliveryDueAt = new Date(createdAt.getTime() + minutes.delivery * 60 * 1000);
+    }
+  } else if (this.isModified('status') && !this.$locals.statusTransition) {
+    return next(new ApiError(500, 'Blood request status must be changed through changeStatus()'));
+  }
+  
+  next();
+});
+
+// Clear the transition flag once the change is persisted
+bloodRequestSchema.post('save', function() {
+  this.$locals.statusTransition = false;
+});
+
+// Method to get the statuses an actor type may move this request to next
+bloodRequestSchema.methods.getAllowedTransitions = function(entityType) {
+  const transitions = REQUEST_STATUS_TRANSITIONS[this.status] || {};
+  return Object.keys(transitions).filter(status => !entityType || transitions[status].includes(entityType));
+};
+
+// Method to move the request to its next status, recording who changed it and why
+// Does not save; callers save the request
+bloodRequestSchema.methods.changeStatus = function(nextStatus, { actor, note } = {}) {
+  const entityType = actor?.entityType || 'System';
+  const allowed = this.getAllowedTransitions(entityType);
+  
+  if (!allowed.includes(nextStatus)) {
+    throw new ApiError(
+      409,
+      `${entityType === 'System' ? 'The system' : `A ${entityType.toLowerCase()}`} cannot change the request status from '${this.status}' to '${nextStatus}'. Allowed next states: ${allowed.length ? allowed.join(', ') : 'none'}`,
+      [{ currentStatus: this.status, allowedNextStatuses: allowed }]
+    );
+  }
+  
+  this.timeline.push(buildTimelineEntry(this.status, nextStatus, { actor, note }));
+  
+  // Record when the SLA clocks stopped
+  if (this.status === 'Pending' && RESPONSE_STATUSES.includes(nextStatus)) {
+    this.sla.respondedAt = new Date();
+  }
+  if (nextStatus === DISPATCH_STATUS) {
+    this.sla.dispatchedAt = new Date();
+  }
+  
+  this.status = nextStatus;
+  this.$locals.statusTransition = true;
+  
+  return this;
+};
+
+// Method to issue a new one-time delivery code
+// Only its hash is stored; the code is returned once so it can be shared
+bloodRequestSchema.methods.issueDeliveryCode = async function() {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  
+  // Earlier wrong attempts stay in the log
+  this.deliveryCode.codeHash = await bcrypt.hash(code, 10);
+  this.deliveryCode.issuedAt = new Date();
+  this.deliveryCode.verifiedAt = undefined;
+  this.deliveryCode.consecutiveFailures = 0;
+  this.deliveryCode.lockedUntil = undefined;
+  
+  return code;
+};
+
+// Method to check a delivery code (load the request with +deliveryCode.codeHash)
+// Wrong codes are logged and lock confirmation after DELIVERY_CODE_MAX_ATTEMPTS in a row; does not save
+bloodRequestSchema.methods.verifyDeliveryCode = async function(code, { receivedBy, ip } = {}) {
+  const deliveryCode = this.deliveryCode;
+  
+  if (!deliveryCode?.codeHash) {
+    throw new ApiError(409, "No delivery code has been issued for this request; ask the NGO to reissue it");
+  }
+  
+  if (deliveryCode.lockedUntil && deliveryCode.lockedUntil > new Date()) {
+    throw new ApiError(429, `Too many wrong delivery codes. Try again after ${deliveryCode.lockedUntil.toISOString()}`);
+  }
+  
+  if (await bcrypt.compare(String(code), deliveryCode.codeHash)) {
+    // One-time: the code cannot be used again
+    deliveryCode.codeHash = undefined;
+    deliveryCode.verifiedAt = new Date();
+    deliveryCode.consecutiveFailures = 0;
+    return { valid: true };
+  }
+  
+  deliveryCode.failedAttempts.push({ attemptedAt: new Date(), receivedBy, ip });
+  deliveryCode.consecutiveFailures += 1;
+  
+  if (deliveryCode.consecutiveFailures >= DELIVERY_CODE_MAX_ATTEMPTS) {
+    deliveryCode.consecutiveFailures = 0;
+    deliveryCode.lockedUntil = new Date(Date.now() + DELIVERY_CODE_LOCK_MINUTES * 60 * 1000);
+    return { valid: false, attemptsLeft: 0, lockedUntil: deliveryCode.lockedUntil };
+  }
+  
+  return { valid: false, attemptsLeft: DELIVERY_CODE_MAX_ATTEMPTS - deliveryCode.consecutiveFailures };
+};
+
+// Method to get how many units of a line are still to be supplied
+bloodRequestSchema.methods.getOutstandingUnits = function(line) {
+  return Math.max(0, line.units - (line.fulfilledUnits || 0) - (line.closedOutUnits || 0));
+};
+
+// Method to get the latest crossmatch of a unit against a line's patient
+bloodRequestSchema.methods.getCrossmatch = function(lineId, donationId) {
+  return this.crossmatches
+    .filter(entry => entry.lineId.equals(lineId) && entry.donationId.equals(donationId))
+    .reduce((latest, entry) => (!latest || latest.enteredAt <= entry.enteredAt ? entry : latest), null);
+};
+
+// Method to check a unit may be sent against a line
+// Lines with patient details only take units whose latest crossmatch is compatible,
+// and only while the patient sample it was run against is still valid
+bloodRequestSchema.methods.isCrossmatchCompatible = function(line, donationId) {
+  return !line.patient || (
+    this.getCrossmatch(line._id, donationId)?.result === 'Compatible' &&
+    this.isPatientSampleValid(line)
+  );
+};
+
+// Method to check a line's patient sample is still fresh enough to crossmatch against
+bloodRequestSchema.methods.isPatientSampleValid = function(line) {
+  const collectedAt = line.patient?.sampleCollectedAt;
+  return Boolean(collectedAt) &&
+    Date.now() - collectedAt.getTime() <= CROSSMATCH_SAMPLE_VALID_HOURS * 60 * 60 * 1000;
+};
+
+// Method to record a dispatched unit against the line it fills: the given line,
+// else the outstanding line that prefers the unit's blood group most
+// Returns the line, or null when the unit fits no outstanding line; does not save
+bloodRequestSchema.methods.recordFulfilment = function(unit, lineId) {
+  let line = lineId ? this.bloodGroups.id(lineId) : null;
+  
+  if (line && !this.isCrossmatchCompatible(line, unit._id)) return null;
+  
+  if (!line) {
+    let bestRank = Infinity;
+    this.bloodGroups.forEach(candidate => {
+      if (!this.getOutstandingUnits(candidate)) return;
+      if (!lineAcceptsComponent(candidate, unit.componentType)) return;
+      if (!this.isCrossmatchCompatible(candidate, unit._id)) return;
+      
+      const match = getLineDonorGroups(candidate, this.urgencyLevel)
+        .find(group => group.bloodGroup === unit.bloodGroup);
+      if (match && match.rank < bestRank) {
+        line = candidate;
+        bestRank = match.rank;
+      }
+    });
+  }
+  
+  if (!line) return null;
+  
+  if (!line.donationIds.some(donationId => donationId.equals(unit._id))) {
+    line.donationIds.push(unit._id);
+    line.fulfilledUnits = (line.fulfilledUnits || 0) + 1;
+  }
+  
+  return line;
+};
+
+// Method to check every line has been supplied, closed out or forwarded
+bloodRequestSchema.methods.isFullyFulfilled = function() {
+  return this.bloodGroups.every(line => this.getOutstandingUnits(line) === 0);
+};
+
+// Method to move the request to Processing or Partially Fulfilled after units are dispatched
+bloodRequestSchema.methods.updateFulfilmentStatus = function({ actor, note } = {}) {
+  const nextStatus = this.isFullyFulfilled() ? 'Processing' : 'Partially Fulfilled';
+  
+  if (nextStatus !== this.status && this.getAllowedTransitions(actor?.entityType || 'System').includes(nextStatus)) {
+    this.changeStatus(nextStatus, { actor, note });
+  }
+  
+  return this;
+};
+
+// Method to summarise requested against fulfilled units per line
+bloodRequestSchema.methods.getFulfilmentSummary = function() {
+  const lines = this.bloodGroups.map(line => ({
+    lineId: line._id,
+    bloodGroup: line.bloodGroup,
+    componentType: line.componentType,
+    requested: line.units,
+    fulfilled: line.fulfilledUnits || 0,
+    closedOut: line.closedOutUnits || 0,
+    outstanding: this.getOutstandingUnits(line)
+  }));
+  
+  return {
+    lines,
+    requested: lines.reduce((sum, line) => sum + line.requested, 0),
+    fulfilled: lines.reduce((sum, line) => sum + line.fulfilled, 0),
+    outstanding: lines.reduce((sum, line) => sum + line.outstanding, 0)
+  };
+};
+
+// SLA report: response and dispatch times against their deadlines, with breaches and escalations
+// A deadline counts as breached once the job recorded it, or when the clock stopped after it
+bloodRequestSchema.statics.getSlaReport = async function(match = {}, { from, to } = {}) {
+  const createdAtRange = {};
+  if (from) createdAtRange.$gte = new Date(from);
+  if (to) createdAtRange.$lte = new Date(to);
+  if (Object.values(createdAtRange).some(date => Number.isNaN(date.getTime()))) {
+    throw new ApiError(400, "Invalid date range: 'from' and 'to' must be valid dates");
+  }
+  
+  const recorded = (type) => ({ $in: [type, { $ifNull: ['$sla.breaches.type', []] }] });
+  const late = (stoppedAt, dueAt) => ({
+    $and: [{ $ne: [stoppedAt, null] }, { $ne: [dueAt, null] }, { $gt: [stoppedAt, dueAt] }]
+  });
+  const minutesBetween = (start, end) => ({
+    $cond: [
+      { $ne: [end, null] },
+      { $divide: [{ $subtract: [end, start] }, 60 * 1000] },
+      null
+    ]
+  });
+  
+  const pipeline = [
+    { $match: { ...match, 'sla.responseDueAt': { $exists: true }, ...(Object.keys(createdAtRange).length && { createdAt: createdAtRange }) } },
+    {
+      $project: {
+        ngoId: 1,
+        urgencyLevel: 1,
+        responseBreached: { $or: [recorded('response'), late({ $ifNull: ['$sla.respondedAt', null] }, '$sla.responseDueAt')] },
+        deliveryBreached: { $or: [recorded('delivery'), late({ $ifNull: ['$sla.dispatchedAt', null] }, '$sla.deliveryDueAt')] },
+        responseMinutes: minutesBetween('$createdAt', { $ifNull: ['$sla.respondedAt', null] }),
+        dispatchMinutes: minutesBetween('$createdAt', { $ifNull: ['$sla.dispatchedAt', null] }),
+        escalations: { $size: { $ifNull: ['$sla.escalations', []] } }
+      }
+    }
+  ];
+  
+  const summarise = (groupId) => [
+    {
+      $group: {
+        _id: groupId,
+        requests: { $sum: 1 },
+        responseBreaches: { $sum: { $cond: ['$responseBreached', 1, 0] } },
+        deliveryBreaches: { $sum: { $cond: ['$deliveryBreached', 1, 0] } },
+        breachedRequests: { $sum: { $cond: [{ $or: ['$responseBreached', '$deliveryBreached'] }, 1, 0] } },
+        escalations: { $sum: '$escalations' },
+        avgResponseMinutes: { $avg: '$responseMinutes' },
+        avgDispatchMinutes: { $avg: '$dispatchMinutes' }
+      }
+    },
+    { $sort: { requests: -1 } }
+  ];
+  
+  pipeline.push({
+    $facet: {
+      overall: summarise(null),
+      byUrgency: summarise('$urgencyLevel'),
+      byNgo: [
+        ...summarise('$ngoId'),
+        { $lookup: { from: 'ngos', localField: '_id', foreignField: '_id', as: 'ngo' } },
+        { $addFields: { ngoName: { $first: '$ngo.name' } } },
+        { $project: { ngo: 0 } }
+      ]
+    }
+  });
+  
+  const [result] = await this.aggregate(pipeline);
+  const format = ({ _id, avgResponseMinutes, avgDispatchMinutes, ...row }) => ({
+    ...row,
+    avgResponseMinutes: avgResponseMinutes === null ? null : Math.round(avgResponseMinutes),
+    avgDispatchMinutes: avgDispatchMinutes === null ? null : Math.round(avgDispatchMinutes),
+    breachRate: row.requests ? Math.round((row.breachedRequests / row.requests) * 100) : 0
+  });
+  
+  return {
+    overall: format(result.overall[0] || {
+      requests: 0, responseBreaches: 0, deliveryBreaches: 0, breachedRequests: 0, escalations: 0,
+      avgResponseMinutes: null, avgDispatchMinutes: null
+    }),
+    byUrgency: result.byUrgency.map(row => ({ urgencyLevel: row._id, ...format(row) })),
+    // Broadcast requests nobody accepted have no NGO
+    byNgo: result.byNgo.map(row => ({ ngoId: row._id, ...format(row) }))
+  };
+};
+
 const BloodRequest = mongoose.model('BloodRequest', bloodRequestSchema);
 
 export default BloodRequest;
\ No newline at end of file
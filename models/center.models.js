@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { ApiError } from '../utils/ApiError.js';
+
+// Unit statuses that physically occupy storage at a center
+const HELD_STATUSES = ['processing', 'available', 'assigned', 'quarantined'];
 
 const centerSchema = new mongoose.Schema({
   // Basic center information
@@ -116,6 +120,21 @@ const centerSchema = new mongoose.Schema({
       type: Number,
       default: 0 // Units that are available for use (status: 'available')
     },
+    // Breakdown of the blood group's units by component
+    components: [{
+      componentType: {
+        type: String,
+        enum: ['WholeBlood', 'PackedRedCells', 'Plasma', 'Platelets', 'Cryoprecipitate']
+      },
+      units: {
+        type: Number,
+        default: 0
+      },
+      availableUnits: {
+        type: Number,
+        default: 0
+      }
+    }],
     lastUpdated: {
       type: Date,
       default: Date.now
@@ -218,26 +237,65 @@ centerSchema.methods.updateBloodInventory = async function() {
   // Import BloodDonation model dynamically to avoid circular dependencies
   const BloodDonation = mongoose.model('BloodDonation');
   
-  // Get current blood inventory from BloodDonation model
   const bloodGroups = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+  const componentTypes = ['WholeBlood', 'PackedRedCells', 'Plasma', 'Platelets', 'Cryoprecipitate'];
+  const now = new Date();
+  
+  // Count total and available units held at this center per blood group and component in one pass
+  // (separated whole-blood donations are represented by their components;
+  // units reserved for a request are not available to others, nor are units
+  // on hold after a temperature excursion)
+  const counts = await BloodDonation.aggregate([
+    {
+      $match: {
+        'currentLocation.entityId': this._id,
+        // Units still in transit to the center are counted once received
+        'currentLocation.inTransit': { $ne: true },
+        status: { $ne: 'separated' }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          bloodGroup: '$bloodGroup',
+          componentType: { $ifNull: ['$componentType', 'WholeBlood'] }
+        },
+        units: { $sum: 1 },
+        availableUnits: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ['$status', 'available'] },
+                  { $gt: ['$expiryDate', now] },
+                  { $not: [{ $gt: ['$reservation.expiresAt', now] }] },
+                  { $eq: [{ $ifNull: ['$transferHold.incidentId', null] }, null] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+  
+  const countsByKey = new Map(
+    counts.map(row => [`${row._id.bloodGroup}:${row._id.componentType}`, row])
+  );
   
-  // For each blood group, count total and available donations
   for (const bloodGroup of bloodGroups) {
-    // Count all donations of this blood group at this center
-    const totalCount = await BloodDonation.countDocuments({
-      centerId: this._id,
-      bloodGroup,
-      currentLocation: { entityId: this._id }
-    });
-    
-    // Count available donations of this blood group at this center
-    const availableCount = await BloodDonation.countDocuments({
-      centerId: this._id,
-      bloodGroup,
-      status: 'available',
-      expiryDate: { $gt: new Date() },
-      currentLocation: { entityId: this._id }
+    const components = componentTypes.map(componentType => {
+      const row = countsByKey.get(`${bloodGroup}:${componentType}`);
+      return {
+        componentType,
+        units: row?.units || 0,
+        availableUnits: row?.availableUnits || 0
+      };
     });
+    const totalCount = components.reduce((sum, component) => sum + component.units, 0);
+    const availableCount = components.reduce((sum, component) => sum + component.availableUnits, 0);
     
     // Update or create inventory record
     let inventory = this.bloodInventory.find(item => item.bloodGroup === bloodGroup);
@@ -247,17 +305,71 @@ centerSchema.methods.updateBloodInventory = async function() {
         bloodGroup,
         units: totalCount,
         availableUnits: availableCount,
-        lastUpdated: new Date()
+        components,
+        lastUpdated: now
       };
       this.bloodInventory.push(inventory);
     } else {
       inventory.units = totalCount;
       inventory.availableUnits = availableCount;
-      inventory.lastUpdated = new Date();
+      inventory.components = components;
+      inventory.lastUpdated = now;
     }
   }
   
-  return this.save();
+  await this.save();
+  
+  // Keep the NGO summary in step for NGOs that use unit-derived inventory
+  const ngo = await mongoose.model('NGO').findById(this.ngoId).select('settings bloodInventory');
+  if (ngo?.settings?.inventoryMode === 'unit-derived') {
+    await ngo.reconcileBloodInventory({ sync: true });
+  }
+  
+  return this;
+};
+
+// Method to get how much of the center's storage capacity is in use
+// (Only blood banks have a storage capacity; camps report null values)
+// heldUnits may be passed in when it was already counted (e.g. by an inventory aggregation)
+// Units in transit to the center count as held, since they need space on arrival
+centerSchema.methods.getUtilisation = async function(heldUnits) {
+  const BloodDonation = mongoose.model('BloodDonation');
+  
+  if (heldUnits === undefined) {
+    heldUnits = await BloodDonation.countDocuments({
+      'currentLocation.entityId': this._id,
+      status: { $in: HELD_STATUSES }
+    });
+  }
+  
+  const storageCapacity = this.storageCapacity || null;
+  
+  return {
+    storageCapacity,
+    heldUnits,
+    freeCapacity: storageCapacity ? Math.max(0, storageCapacity - heldUnits) : null,
+    utilisationPercent: storageCapacity
+      ? Math.round((heldUnits / storageCapacity) * 1000) / 10
+      : null
+  };
+};
+
+// Method to check there is room for incoming units
+// mode 'reject' throws when capacity would be exceeded, 'warn' returns a warning message instead
+centerSchema.methods.ensureCapacity = async function(incomingUnits = 1, mode = 'reject') {
+  const utilisation = await this.getUtilisation();
+  
+  if (!utilisation.storageCapacity || utilisation.heldUnits + incomingUnits <= utilisation.storageCapacity) {
+    return { utilisation, warning: null };
+  }
+  
+  const message = `${this.name} is at capacity: ${utilisation.heldUnits} of ${utilisation.storageCapacity} units held, ${incomingUnits} incoming`;
+  
+  if (mode === 'warn') {
+    return { utilisation, warning: message };
+  }
+  
+  throw new ApiError(409, message, [utilisation]);
 };
 
 // Method to register a blood donation
@@ -338,4 +450,4 @@ const BloodBank = Center.discriminator('BloodBank', new mongoose.Schema({
   }]
 }));
 
-export { Center, DonationCamp, BloodBank };
\ No newline at end of file
+export { Center, DonationCamp, BloodBank, HELD_STATUSES };
\ No newline at end of file
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const excursionIncidentSchema = new mongoose.Schema({
+  storageUnitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageUnit',
+    required: true
+  },
+  centerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Center',
+    required: true
+  },
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Resolved'],
+    default: 'Open'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  lastExcursionAt: Date,
+  // Coldest and warmest out-of-range readings seen during the incident
+  minTemperature: Number,
+  maxTemperature: Number,
+  excursionReadings: {
+    type: Number,
+    default: 0
+  },
+  // Units stored in the unit whose component range was breached
+  affectedUnits: [{
+    donationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodDonation'
+    },
+    bloodGroup: String,
+    componentType: String,
+    allowedRange: {
+      min: Number,
+      max: Number
+    }
+  }],
+  // Supervisor decision that closes the incident
+  resolution: {
+    decision: {
+      type: String,
+      enum: ['Release', 'Discard']
+    },
+    supervisorName: String,
+    notes: String,
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+excursionIncidentSchema.index({ ngoId: 1, status: 1 });
+excursionIncidentSchema.index({ storageUnitId: 1, status: 1 });
+
+const ExcursionIncident = mongoose.model('ExcursionIncident', excursionIncidentSchema);
+
+export default ExcursionIncident;
@@ -39,6 +39,13 @@ const hospitalSchema = new mongoose.Schema({
   emergencyContact: {
     name: String,
     phone: String,
+    // SLA escalations go here; the hospital's own email is used when it is not set
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid emergency contact email']
+    },
     available24x7: Boolean
   },
   address: {
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const inventoryReconciliationSchema = new mongoose.Schema({
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  // Whether the report was requested by the NGO or produced by the scheduled job
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    default: 'manual'
+  },
+  // Manual summary vs. available units counted from BloodDonation documents
+  lines: [{
+    bloodGroup: {
+      type: String,
+      enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
+    },
+    manualUnits: Number,
+    derivedUnits: Number,
+    difference: Number // manualUnits - derivedUnits
+  }],
+  discrepancies: {
+    type: Number,
+    default: 0
+  },
+  // Whether the NGO summary was overwritten with the derived numbers
+  synced: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+inventoryReconciliationSchema.index({ ngoId: 1, createdAt: -1 });
+
+const InventoryReconciliation = mongoose.model('InventoryReconciliation', inventoryReconciliationSchema);
+
+export default InventoryReconciliation;
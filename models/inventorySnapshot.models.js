@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import { ApiError } from '../utils/ApiError.js';
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Daily stock figures for one blood group at one center
+const inventorySnapshotSchema = new mongoose.Schema({
+  // Day the snapshot describes (midnight UTC)
+  date: {
+    type: Date,
+    required: true
+  },
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  centerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Center',
+    required: true
+  },
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS,
+    required: true
+  },
+  // Units held at the center (processing, available, assigned or quarantined)
+  total: {
+    type: Number,
+    default: 0
+  },
+  available: {
+    type: Number,
+    default: 0
+  },
+  // Available units expiring within 7 days
+  expiringSoon: {
+    type: Number,
+    default: 0
+  },
+  // Units last held at the center that were used or discarded during the day
+  used: {
+    type: Number,
+    default: 0
+  },
+  discarded: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+inventorySnapshotSchema.index({ date: 1, centerId: 1, bloodGroup: 1 }, { unique: true });
+inventorySnapshotSchema.index({ ngoId: 1, date: 1 });
+
+// Static method to build a daily time series from snapshots matching the filter
+// (Defaults to the last 90 days; days where available stock fell below minUnits count as shortage days)
+inventorySnapshotSchema.statics.getTimeSeries = async function(filter = {}, options = {}) {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - 90 * 24 * 60 * 60 * 1000);
+  const minUnits = options.minUnits !== undefined ? Number(options.minUnits) : 5;
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    throw new ApiError(400, "Invalid date range: 'from' and 'to' must be valid dates with 'from' before 'to'");
+  }
+  if (Number.isNaN(minUnits)) {
+    throw new ApiError(400, "minUnits must be a number");
+  }
+
+  const match = { ...filter, date: { $gte: from, $lte: to } };
+
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { date: '$date', bloodGroup: '$bloodGroup' },
+        total: { $sum: '$total' },
+        available: { $sum: '$available' },
+        expiringSoon: { $sum: '$expiringSoon' },
+        used: { $sum: '$used' },
+        discarded: { $sum: '$discarded' }
+      }
+    },
+    { $sort: { '_id.date': 1 } }
+  ]);
+
+  const emptyCounts = () => ({ total: 0, available: 0, expiringSoon: 0, used: 0, discarded: 0 });
+  const seriesByDate = new Map();
+  const shortageDays = {};
+
+  rows.forEach(row => {
+    const key = row._id.date.toISOString();
+    if (!seriesByDate.has(key)) {
+      seriesByDate.set(key, { date: row._id.date, totals: emptyCounts(), byBloodGroup: {} });
+    }
+    const entry = seriesByDate.get(key);
+    const { _id, ...counts } = row;
+
+    entry.byBloodGroup[_id.bloodGroup] = counts;
+    Object.keys(counts).forEach(field => {
+      entry.totals[field] += counts[field];
+    });
+
+    if (counts.available < minUnits) {
+      shortageDays[_id.bloodGroup] = (shortageDays[_id.bloodGroup] || 0) + 1;
+    }
+  });
+
+  return {
+    from,
+    to,
+    minUnits,
+    series: [...seriesByDate.values()],
+    shortageDays
+  };
+};
+
+const InventorySnapshot = mongoose.model('InventorySnapshot', inventorySnapshotSchema);
+
+export { BLOOD_GROUPS };
+export default InventorySnapshot;
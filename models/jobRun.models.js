@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const jobRunSchema = new mongoose.Schema({
+  // Name of the background job (e.g. 'expiry-sweep')
+  job: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Whether the run was started by the scheduler or by an admin
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  // Job-specific summary of what the run did
+  summary: mongoose.Schema.Types.Mixed,
+  error: String
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
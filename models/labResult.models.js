@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+
+// Infection markers every donation must be screened for before release
+export const REQUIRED_SCREENING_TESTS = ['HIV', 'HBV', 'HCV', 'Syphilis', 'Malaria'];
+
+export const SCREENING_RESULTS = ['Non-Reactive', 'Reactive', 'Indeterminate'];
+
+// Staff member who entered a result
+const enteredBySchema = new mongoose.Schema({
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+const labResultSchema = new mongoose.Schema({
+  // Whole-blood donation the donor sample was taken from
+  donationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodDonation',
+    required: true,
+    unique: true
+  },
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Infection screening results (re-tests are appended, the latest entry per test counts)
+  screeningTests: [{
+    test: {
+      type: String,
+      enum: REQUIRED_SCREENING_TESTS,
+      required: true
+    },
+    result: {
+      type: String,
+      enum: SCREENING_RESULTS,
+      required: true
+    },
+    method: String, // e.g. ELISA, CLIA, NAT, Rapid
+    enteredBy: enteredBySchema,
+    enteredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Confirmatory ABO/Rh typing
+  bloodGrouping: {
+    bloodGroup: {
+      type: String,
+      enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
+    },
+    matchesDonation: Boolean,
+    enteredBy: enteredBySchema,
+    enteredAt: Date
+  },
+  // Overall outcome derived from the recorded results
+  outcome: {
+    type: String,
+    enum: ['Pending', 'Cleared', 'Reactive', 'Grouping Mismatch'],
+    default: 'Pending'
+  },
+  outcomeDate: Date
+}, {
+  timestamps: true
+});
+
+labResultSchema.index({ ngoId: 1, outcome: 1 });
+labResultSchema.index({ userId: 1 });
+
+// Method to get the latest recorded result for each test
+labResultSchema.methods.getLatestResults = function() {
+  const latest = {};
+  this.screeningTests.forEach(entry => {
+    if (!latest[entry.test] || latest[entry.test].enteredAt <= entry.enteredAt) {
+      latest[entry.test] = entry;
+    }
+  });
+  return latest;
+};
+
+// Method to work out the outcome from the latest results
+labResultSchema.methods.evaluateOutcome = function() {
+  const latest = this.getLatestResults();
+  const previousOutcome = this.outcome;
+
+  if (Object.values(latest).some(entry => entry.result === 'Reactive')) {
+    this.outcome = 'Reactive';
+  } else if (this.bloodGrouping?.bloodGroup && this.bloodGrouping.matchesDonation === false) {
+    this.outcome = 'Grouping Mismatch';
+  } else if (
+    REQUIRED_SCREENING_TESTS.every(test => latest[test]?.result === 'Non-Reactive') &&
+    this.bloodGrouping?.matchesDonation === true
+  ) {
+    this.outcome = 'Cleared';
+  } else {
+    this.outcome = 'Pending';
+  }
+
+  if (this.outcome !== previousOutcome) {
+    this.outcomeDate = new Date();
+  }
+
+  return this.outcome;
+};
+
+// Method to list the tests still missing a non-reactive result
+labResultSchema.methods.getOutstandingTests = function() {
+  const latest = this.getLatestResults();
+  const outstanding = REQUIRED_SCREENING_TESTS.filter(test => latest[test]?.result !== 'Non-Reactive');
+  if (this.bloodGrouping?.matchesDonation !== true) {
+    outstanding.push('ABO/Rh');
+  }
+  return outstanding;
+};
+
+const LabResult = mongoose.model('LabResult', labResultSchema);
+
+export default LabResult;
@@ -156,9 +156,42 @@ const ngoSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Limits on which requests are accepted automatically (unset or empty means no limit)
+    autoAcceptRules: {
+      maxUnitsPerRequest: {
+        type: Number,
+        min: 1
+      },
+      allowedUrgencyLevels: [{
+        type: String,
+        enum: ['Emergency', 'Regular', 'Future Need']
+      }],
+      excludedBloodGroups: [{
+        type: String,
+        enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
+      }]
+    },
     minBloodLevelAlert: {
       type: Number,
       default: 5 // Alert when blood units drop below this level
+    },
+    // What happens when a blood bank's storage capacity is reached
+    capacityEnforcement: {
+      type: String,
+      enum: ['reject', 'warn'],
+      default: 'reject'
+    },
+    // 'unit-derived' keeps bloodInventory in sync with BloodDonation documents and disables manual edits
+    inventoryMode: {
+      type: String,
+      enum: ['manual', 'unit-derived'],
+      default: 'manual'
+    },
+    // How long units stay reserved for a request before they are released
+    reservationHoldMinutes: {
+      type: Number,
+      default: 240,
+      min: 5
     }
   }
 }, {
@@ -202,6 +235,68 @@ ngoSchema.methods.updateBloodStock = async function(bloodGroup, units, operation
   return this.save();
 };
 
+// Method to count available units per blood group from the NGO's BloodDonation documents
+ngoSchema.methods.computeUnitDerivedInventory = async function() {
+  const BloodDonation = mongoose.model('BloodDonation');
+  
+  const counts = await BloodDonation.aggregate([
+    {
+      $match: {
+        ngoId: this._id,
+        status: 'available',
+        expiryDate: { $gt: new Date() },
+        // Units reserved for a request are no longer free stock
+        'reservation.expiresAt': { $not: { $gt: new Date() } },
+        'currentLocation.entityType': { $in: ['Center', 'NGO'] },
+        'currentLocation.inTransit': { $ne: true }
+      }
+    },
+    { $group: { _id: '$bloodGroup', units: { $sum: 1 } } }
+  ]);
+  
+  const inventory = {};
+  ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'].forEach(group => {
+    inventory[group] = counts.find(item => item._id === group)?.units || 0;
+  });
+  
+  return inventory;
+};
+
+// Method to compare the manual blood inventory with unit-derived stock
+// With sync: true the manual summary is overwritten with the derived numbers
+ngoSchema.methods.reconcileBloodInventory = async function({ sync = false } = {}) {
+  const derived = await this.computeUnitDerivedInventory();
+  
+  const lines = Object.entries(derived).map(([bloodGroup, derivedUnits]) => {
+    const manualUnits = this.bloodInventory.find(item => item.bloodGroup === bloodGroup)?.units || 0;
+    return {
+      bloodGroup,
+      manualUnits,
+      derivedUnits,
+      difference: manualUnits - derivedUnits
+    };
+  });
+  
+  if (sync) {
+    lines.forEach(line => {
+      let inventory = this.bloodInventory.find(item => item.bloodGroup === line.bloodGroup);
+      if (!inventory) {
+        this.bloodInventory.push({ bloodGroup: line.bloodGroup, units: line.derivedUnits, lastUpdated: new Date() });
+      } else if (inventory.units !== line.derivedUnits) {
+        inventory.units = line.derivedUnits;
+        inventory.lastUpdated = new Date();
+      }
+    });
+    await this.save();
+  }
+  
+  return {
+    lines,
+    discrepancies: lines.filter(line => line.difference !== 0).length,
+    synced: sync
+  };
+};
+
 // Method to find nearby hospitals
 ngoSchema.methods.findNearbyHospitals = function(maxDistance = 10000) { // Default 10km
   return mongoose.model('Hospital').find({
@@ -214,6 +309,19 @@ ngoSchema.methods.findNearbyHospitals = function(maxDistance = 10000) { // Defau
   });
 };
 
+// Static method to find verified NGOs within distanceKm of a GeoJSON point
+ngoSchema.statics.findVerifiedNear = function(location, distanceKm = 10) {
+  return this.find({
+    'address.location': {
+      $near: {
+        $geometry: location,
+        $maxDistance: distanceKm * 1000 // Convert to meters
+      }
+    },
+    isVerified: true
+  });
+};
+
 ngoSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 10);
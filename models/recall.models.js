@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+const recallSchema = new mongoose.Schema({
+  // What started the lookback: a donor (all their units) or a single unit
+  trigger: {
+    type: {
+      type: String,
+      enum: ['Donor', 'Unit'],
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    donationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodDonation'
+    }
+  },
+  reason: {
+    type: String,
+    required: [true, 'Recall reason is required']
+  },
+  // NGO or admin that initiated the recall
+  initiatedBy: {
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'initiatedBy.entityType',
+      required: true
+    },
+    entityType: {
+      type: String,
+      enum: ['NGO', 'Admin'],
+      required: true
+    }
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Closed'],
+    default: 'Open'
+  },
+  // Every unit traced back to the donor and where it was when the recall ran
+  affectedUnits: [{
+    donationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodDonation'
+    },
+    ngoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NGO'
+    },
+    bloodGroup: String,
+    componentType: String,
+    donationDate: Date,
+    statusBefore: String,
+    holder: {
+      entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'affectedUnits.holder.entityType'
+      },
+      entityType: {
+        type: String,
+        enum: ['NGO', 'Center', 'Hospital']
+      }
+    },
+    action: {
+      type: String,
+      enum: ['Quarantined', 'Already Transfused', 'Already Out Of Circulation']
+    }
+  }],
+  // Hospitals that received any affected unit and their acknowledgements
+  hospitalNotices: [{
+    hospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital'
+    },
+    donationIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodDonation'
+    }],
+    notifiedAt: {
+      type: Date,
+      default: Date.now
+    },
+    emailSent: {
+      type: Boolean,
+      default: false
+    },
+    acknowledged: {
+      type: Boolean,
+      default: false
+    },
+    acknowledgedAt: Date,
+    acknowledgedBy: String,
+    notes: String
+  }],
+  closedAt: Date,
+  closingNotes: String
+}, {
+  timestamps: true
+});
+
+recallSchema.index({ 'trigger.userId': 1 });
+recallSchema.index({ 'initiatedBy.entityId': 1, status: 1 });
+recallSchema.index({ 'hospitalNotices.hospitalId': 1 });
+recallSchema.index({ 'affectedUnits.ngoId': 1 });
+
+// Method to check whether every notified hospital has acknowledged
+recallSchema.methods.isFullyAcknowledged = function() {
+  return this.hospitalNotices.every(notice => notice.acknowledged);
+};
+
+const Recall = mongoose.model('Recall', recallSchema);
+
+export default Recall;
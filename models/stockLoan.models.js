@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { COMPONENT_TYPES } from './blood.models.js';
+
+// Blood units lent by one NGO to another
+const stockLoanSchema = new mongoose.Schema({
+  borrowerNgoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  lenderNgoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  // Borrower's center the units are sent to
+  destinationCenterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Center',
+    required: true
+  },
+  // Units requested per blood group (and optionally component)
+  lines: [{
+    bloodGroup: {
+      type: String,
+      enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+      required: true
+    },
+    componentType: {
+      type: String,
+      enum: COMPONENT_TYPES
+    },
+    units: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  requestNotes: String,
+  // Requested -> Dispatching (lender approved, units being sent) -> Dispatched (lender sent units)
+  // -> Completed (borrower received every unit)
+  status: {
+    type: String,
+    enum: ['Requested', 'Dispatching', 'Dispatched', 'Completed', 'Declined', 'Cancelled'],
+    default: 'Requested'
+  },
+  decision: {
+    decidedAt: Date,
+    notes: String
+  },
+  // Units the lender sent; ownership moves to the borrower on dispatch
+  units: [{
+    donationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodDonation'
+    },
+    bloodGroup: String,
+    componentType: String,
+    expiryDate: Date,
+    receivedAt: Date
+  }],
+  dispatchedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+stockLoanSchema.index({ borrowerNgoId: 1, status: 1 });
+stockLoanSchema.index({ lenderNgoId: 1, status: 1 });
+
+// Method to check whether every dispatched unit has been received
+stockLoanSchema.methods.isFullyReceived = function() {
+  return this.units.length > 0 && this.units.every(unit => unit.receivedAt);
+};
+
+const StockLoan = mongoose.model('StockLoan', stockLoanSchema);
+
+export default StockLoan;
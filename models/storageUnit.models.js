@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const storageUnitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Storage unit name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['Refrigerator', 'Freezer', 'Platelet Incubator'],
+    required: [true, 'Storage unit type is required']
+  },
+  // Center the storage unit is installed at
+  centerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Center',
+    required: true
+  },
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  serialNumber: String,
+  // Identifier the probe gateway sends with each reading
+  probeId: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  lastReading: {
+    temperature: Number,
+    recordedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Excursion', 'Out of Service'],
+    default: 'Active'
+  }
+}, {
+  timestamps: true
+});
+
+storageUnitSchema.index({ ngoId: 1, centerId: 1 });
+
+const StorageUnit = mongoose.model('StorageUnit', storageUnitSchema);
+
+export default StorageUnit;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const temperatureReadingSchema = new mongoose.Schema({
+  storageUnitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageUnit',
+    required: true
+  },
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  // Temperature in °C
+  temperature: {
+    type: Number,
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  probeId: String,
+  // Whether the reading was within range for every unit stored at the time
+  withinRange: Boolean,
+  // Incident opened or extended by this reading
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExcursionIncident'
+  }
+}, {
+  timestamps: true
+});
+
+temperatureReadingSchema.index({ storageUnitId: 1, recordedAt: -1 });
+
+const TemperatureReading = mongoose.model('TemperatureReading', temperatureReadingSchema);
+
+export default TemperatureReading;
@@ -57,6 +57,19 @@ const userSchema = new Schema(
       required: false,
       trim: true,
     },
+    // Set when the donor is deferred, e.g. after a reactive screening result
+    donorDeferral: {
+      isDeferred: {
+        type: Boolean,
+        default: false,
+      },
+      reason: String,
+      deferredAt: Date,
+      labResultId: {
+        type: Schema.Types.ObjectId,
+        ref: "LabResult",
+      },
+    },
     // Adding address and location fields
     address: {
       street: String,
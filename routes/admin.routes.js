@@ -9,14 +9,20 @@ import {
   getHospitalAnalytics,
   getNGOAnalytics,
   getTimeBasedAnalytics,
+  getInventoryHistoryAnalytics,
+  getWastageAnalytics,
+  getSlaAnalytics,
   getAllUsers,
   getAllNGOs,
   getAllHospitals,
   getAllBloodDonations,
   verifyNGO,
-  verifyHospital
+  verifyHospital,
+  getBackgroundJobs,
+  runBackgroundJob,
+  getJobRuns
 } from '../controllers/admin.controller.js';
-import { verifyJWT } from '../middleware/auth.middleware.js';
+import { verifyJWT, verifyAdmin } from '../middleware/auth.middleware.js';
 
 const router = Router();
 
@@ -34,11 +40,18 @@ router.get('/analytics/donors', getDonorAnalytics);
 router.get('/analytics/hospitals', getHospitalAnalytics);
 router.get('/analytics/ngos', getNGOAnalytics);
 router.get('/analytics/trends', getTimeBasedAnalytics);
+router.get('/analytics/inventory-history', getInventoryHistoryAnalytics);
+router.get('/analytics/wastage', getWastageAnalytics);
+router.get('/analytics/sla', getSlaAnalytics);
 router.get('/users', getAllUsers);
 router.get('/ngos', getAllNGOs);
 router.get('/hospitals', getAllHospitals);
 router.get('/blood-donations', getAllBloodDonations);
 router.patch('/ngo/:ngoId/verify', verifyNGO);
 router.patch('/hospital/:hospitalId/verify', verifyHospital);
+// Background jobs are for admins only
+router.get('/jobs', verifyAdmin, getBackgroundJobs);
+router.get('/jobs/runs', verifyAdmin, getJobRuns);
+router.post('/jobs/:jobName/run', verifyAdmin, runBackgroundJob);
 
 export default router;
\ No newline at end of file
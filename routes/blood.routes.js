@@ -1,13 +1,19 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import {
   registerBloodDonation,
+  importBloodDonations,
+  processBloodComponents,
   getNGOBloodDonations,
   updateBloodDonationStatus, 
+  discardBloodDonation,
+  getWastageReport,
   getNGOBloodInventory,
+  getInventoryHistory,
   getBloodDonationDetails,
   getExpiringBloodDonations
 } from '../controllers/blood.controller.js';
 import { verifyJWT } from '../middleware/auth.middleware.js';
+import { upload } from '../middleware/multer.middleware.js';
 
 const router = Router();
 
@@ -15,10 +21,22 @@ const router = Router();
 router.use(verifyJWT);
 
 router.post('/register-donation', registerBloodDonation);
+// Historical records may be uploaded as a file (field "file"), posted as CSV (Content-Type: text/csv) or as JSON
+router.post(
+  '/import',
+  upload.single('file'),
+  express.text({ type: 'text/csv', limit: '5mb' }),
+  express.json({ limit: '5mb' }),
+  importBloodDonations
+);
 router.get('/donations', getNGOBloodDonations); 
 router.patch('/donation/:donationId/status', updateBloodDonationStatus);
+router.post('/donation/:donationId/components', processBloodComponents);
+router.post('/donation/:donationId/discard', discardBloodDonation);
 router.get('/inventory', getNGOBloodInventory);
+router.get('/inventory/history', getInventoryHistory);
 router.get('/donation/:donationId', getBloodDonationDetails);
 router.get('/expiring', getExpiringBloodDonations);
+router.get('/wastage-report', getWastageReport);
 
 export default router;
\ No newline at end of file
@@ -1,10 +1,23 @@
 import { Router } from 'express';
 import {
   createBloodRequest,
+  respondToBroadcastRequest,
   updateBloodRequestStatus,
   transferBloodUnit,
+  receiveBloodUnit,
+  getIncomingTransfers,
+  proposeAllocation,
+  commitAllocation,
+  reserveUnitsForRequest,
+  getRequestReservations,
+  releaseRequestReservations,
+  closeOutBloodRequest,
+  forwardBloodRequest,
+  amendBloodRequest,
+  cancelBloodRequest,
   getNGOBloodRequests,
   getHospitalBloodRequests,
+  reissueDeliveryCode,
   confirmBloodDelivery
 } from '../controllers/bloodRequest.controller.js';
 import { verifyJWT } from '../middleware/auth.middleware.js';
@@ -17,8 +30,21 @@ router.use(verifyJWT); // All routes require authentication
 router.post('/create', createBloodRequest);
 router.get('/hospital', getHospitalBloodRequests);
 router.post('/confirm-delivery/:requestId', confirmBloodDelivery);
+router.patch('/:requestId/lines', amendBloodRequest);
+router.post('/:requestId/cancel', cancelBloodRequest);
 router.get('/ngo', getNGOBloodRequests);
 router.patch('/:requestId/status', updateBloodRequestStatus);
+router.post('/:requestId/delivery-code', reissueDeliveryCode);
+router.post('/:requestId/broadcast/respond', respondToBroadcastRequest);
 router.post('/transfer/:donationId', transferBloodUnit);
+router.post('/transfer/:donationId/receive', receiveBloodUnit);
+router.get('/transfers/incoming', getIncomingTransfers);
+router.post('/:requestId/allocation/propose', proposeAllocation);
+router.post('/:requestId/allocation/commit', commitAllocation);
+router.post('/:requestId/reservations', reserveUnitsForRequest);
+router.get('/:requestId/reservations', getRequestReservations);
+router.delete('/:requestId/reservations', releaseRequestReservations);
+router.post('/:requestId/close-out', closeOutBloodRequest);
+router.post('/:requestId/forward', forwardBloodRequest);
 
 export default router;
\ No newline at end of file
@@ -3,6 +3,7 @@ import {
   addCenter,
   deleteCenter,
   getCenterById,
+  getCenterInventoryHistory,
   getAllCenters
 } from '../controllers/center.controller.js';
 import { verifyJWT } from '../middleware/auth.middleware.js';
@@ -15,6 +16,7 @@ router.use(verifyJWT);
 router.post('/', addCenter);
 router.delete('/:centerId', deleteCenter);
 router.get('/:centerId', getCenterById);
+router.get('/:centerId/inventory-history', getCenterInventoryHistory);
 router.get('/', getAllCenters);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+import express, { Router } from 'express';
+import {
+  registerStorageUnit,
+  getStorageUnits,
+  assignUnitsToStorage,
+  ingestTemperatureReadings,
+  getTemperatureReadings,
+  getExcursionIncidents,
+  resolveExcursionIncident
+} from '../controllers/coldChain.controller.js';
+import { verifyJWT } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// All cold-chain routes require authentication
+router.use(verifyJWT);
+
+router.post('/storage-units', registerStorageUnit);
+router.get('/storage-units', getStorageUnits);
+router.post('/storage-units/:storageUnitId/assign', assignUnitsToStorage);
+router.get('/storage-units/:storageUnitId/readings', getTemperatureReadings);
+// Probe gateways may post JSON or CSV (Content-Type: text/csv)
+router.post(
+  '/readings',
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  express.json({ limit: '1mb' }),
+  ingestTemperatureReadings
+);
+router.get('/incidents', getExcursionIncidents);
+router.post('/incidents/:incidentId/resolve', resolveExcursionIncident);
+
+export default router;
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import {
+  recordLabResults,
+  getLabResults,
+  getPendingScreening,
+  recordCrossmatch,
+  getCrossmatchResults
+} from '../controllers/lab.controller.js';
+import { verifyJWT } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// All lab routes require authentication
+router.use(verifyJWT);
+
+router.get('/pending', getPendingScreening);
+router.post('/donation/:donationId/results', recordLabResults);
+router.get('/donation/:donationId/results', getLabResults);
+router.post('/request/:requestId/crossmatch', recordCrossmatch);
+router.get('/request/:requestId/crossmatch', getCrossmatchResults);
+
+export default router;
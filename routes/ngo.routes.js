@@ -10,7 +10,12 @@ import {
   refreshAccessToken,
   getNGOProfile,
   updateNGOProfile,
+  updateNGOSettings,
   updateBloodInventory,
+  getInventoryReconciliation,
+  reconcileInventory,
+  getReconciliationHistory,
+  getNGOPerformanceStats,
   getConnectedHospitals,
   respondToConnectionRequest,
   changePassword
@@ -33,7 +38,12 @@ router.use(verifyJWT); // Apply verifyJWT middleware to all routes below
 router.get('/logout', logoutNGO);
 router.get('/profile', getNGOProfile);
 router.post('/update-profile', upload.fields([{ name: 'logo', maxCount: 1 }]), updateNGOProfile);
+router.patch('/settings', updateNGOSettings);
 router.post('/update-blood-inventory', updateBloodInventory);
+router.get('/inventory/reconciliation', getInventoryReconciliation);
+router.post('/inventory/reconcile', reconcileInventory);
+router.get('/inventory/reconciliation/history', getReconciliationHistory);
+router.get('/performance-stats', getNGOPerformanceStats);
 router.get('/connected-hospitals', getConnectedHospitals);
 router.post('/connection-response', respondToConnectionRequest);
 router.post('/change-password', changePassword);
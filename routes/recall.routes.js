@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import {
+  initiateRecall,
+  getRecalls,
+  getRecallDetails,
+  closeRecall,
+  getHospitalRecallNotices,
+  acknowledgeRecall
+} from '../controllers/recall.controller.js';
+import { verifyJWT } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// All recall routes require authentication
+router.use(verifyJWT);
+
+// Hospital routes
+router.get('/hospital/notices', getHospitalRecallNotices);
+router.post('/:recallId/acknowledge', acknowledgeRecall);
+
+// NGO and admin routes
+router.post('/', initiateRecall);
+router.get('/', getRecalls);
+router.get('/:recallId', getRecallDetails);
+router.patch('/:recallId/close', closeRecall);
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import {
+  requestStockLoan,
+  getStockLoans,
+  getStockLoanDetails,
+  approveStockLoan,
+  declineStockLoan,
+  cancelStockLoan,
+  getLendingBalances
+} from '../controllers/stockLoan.controller.js';
+import { verifyJWT } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// All stock loan routes require NGO authentication
+router.use(verifyJWT);
+
+router.post('/', requestStockLoan);
+router.get('/', getStockLoans);
+router.get('/balances', getLendingBalances);
+router.get('/:loanId', getStockLoanDetails);
+router.post('/:loanId/approve', approveStockLoan);
+router.post('/:loanId/decline', declineStockLoan);
+router.post('/:loanId/cancel', cancelStockLoan);
+
+export default router;
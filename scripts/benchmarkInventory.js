@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { performance } from 'perf_hooks';
+import BloodDonation from '../models/blood.models.js';
+import { Center } from '../models/center.models.js';
+import { buildNGOInventory } from '../utils/inventory.js';
+
+// Load environment variables
+dotenv.config();
+
+// Seeded data goes to a separate database that is dropped afterwards
+const DB_NAME = process.env.BENCHMARK_DB_NAME || 'blood-inventory-benchmark';
+const CENTERS = parseInt(process.env.BENCHMARK_CENTERS) || 40;
+const UNITS_PER_CENTER = parseInt(process.env.BENCHMARK_UNITS_PER_CENTER) || 250;
+const ITERATIONS = parseInt(process.env.BENCHMARK_ITERATIONS) || 5;
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const COMPONENT_TYPES = ['WholeBlood', 'PackedRedCells', 'Plasma', 'Platelets', 'Cryoprecipitate'];
+const STATUSES = ['processing', 'available', 'available', 'available', 'assigned', 'used', 'expired', 'discarded', 'quarantined'];
+const DAY = 1000 * 60 * 60 * 24;
+
+const pick = (items) => items[Math.floor(Math.random() * items.length)];
+
+// Insert raw documents (bypassing hooks) so seeding stays fast
+const seed = async (ngoId) => {
+  const centers = Array.from({ length: CENTERS }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: `Benchmark Center ${index + 1}`,
+    type: 'BloodBank',
+    ngoId,
+    storageCapacity: UNITS_PER_CENTER * 2,
+    location: { city: 'Benchmark', pinCode: '000000' },
+    bloodInventory: []
+  }));
+  await Center.collection.insertMany(centers);
+
+  for (const center of centers) {
+    const units = Array.from({ length: UNITS_PER_CENTER }, () => {
+      const donationDate = new Date(Date.now() - Math.floor(Math.random() * 40) * DAY);
+      return {
+        userId: new mongoose.Types.ObjectId(),
+        ngoId,
+        centerId: center._id,
+        centerType: 'BloodBank',
+        bloodGroup: pick(BLOOD_GROUPS),
+        componentType: pick(COMPONENT_TYPES),
+        donationAmount: 450,
+        donationDate,
+        expiryDate: new Date(donationDate.getTime() + 42 * DAY),
+        status: pick(STATUSES),
+        currentLocation: { entityId: center._id, entityType: 'Center', updatedAt: new Date() },
+        statusHistory: []
+      };
+    });
+    await BloodDonation.collection.insertMany(units);
+  }
+
+  await BloodDonation.syncIndexes();
+  return Center.find({ ngoId });
+};
+
+// Previous implementation: one find per center, counted in JavaScript
+const legacyNGOInventory = async (ngoId) => {
+  const centers = await Center.find({ ngoId });
+  const total = {};
+  BLOOD_GROUPS.forEach(group => { total[group] = { total: 0, available: 0 }; });
+
+  for (const center of centers) {
+    const donations = await BloodDonation.find({
+      'currentLocation.entityId': center._id,
+      status: { $ne: 'separated' }
+    });
+    donations.forEach(donation => {
+      total[donation.bloodGroup].total += 1;
+      if (donation.status === 'available' && !donation.isReserved()) {
+        total[donation.bloodGroup].available += 1;
+      }
+    });
+    await center.getUtilisation();
+  }
+
+  return { total };
+};
+
+// Previous implementation: two countDocuments per blood group and component
+const legacyUpdateBloodInventory = async (center) => {
+  for (const bloodGroup of BLOOD_GROUPS) {
+    for (const componentType of COMPONENT_TYPES) {
+      await BloodDonation.countDocuments({
+        bloodGroup,
+        componentType,
+        status: { $ne: 'separated' },
+        'currentLocation.entityId': center._id
+      });
+      await BloodDonation.countDocuments({
+        bloodGroup,
+        componentType,
+        status: 'available',
+        expiryDate: { $gt: new Date() },
+        'reservation.expiresAt': { $not: { $gt: new Date() } },
+        'currentLocation.entityId': center._id
+      });
+    }
+  }
+};
+
+// Average duration of fn over ITERATIONS runs, in milliseconds
+const time = async (fn) => {
+  const start = performance.now();
+  for (let i = 0; i < ITERATIONS; i++) {
+    await fn();
+  }
+  return (performance.now() - start) / ITERATIONS;
+};
+
+const runBenchmark = async () => {
+  let seeded = false;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { dbName: DB_NAME });
+    console.log(`Connected to MongoDB (database: ${DB_NAME})`);
+
+    // The database is dropped afterwards, so it must not hold anything yet
+    const collections = await mongoose.connection.db.listCollections({}, { nameOnly: true }).toArray();
+    if (collections.length) {
+      throw new Error(`Database ${DB_NAME} is not empty. Set BENCHMARK_DB_NAME to an unused database`);
+    }
+
+    const ngoId = new mongoose.Types.ObjectId();
+    console.log(`Seeding ${CENTERS} centers with ${UNITS_PER_CENTER} units each...`);
+    seeded = true;
+    const centers = await seed(ngoId);
+
+    // Both implementations must agree before their timings mean anything
+    const [legacy, current] = [await legacyNGOInventory(ngoId), await buildNGOInventory(ngoId)];
+    const mismatched = BLOOD_GROUPS.filter(group =>
+      legacy.total[group].total !== current.total[group].total ||
+      legacy.total[group].available !== current.total[group].available
+    );
+    if (mismatched.length) {
+      throw new Error(`Inventory totals differ for: ${mismatched.join(', ')}`);
+    }
+
+    const results = [
+      {
+        operation: 'NGO inventory (getNGOBloodInventory)',
+        legacyMs: await time(() => legacyNGOInventory(ngoId)),
+        aggregationMs: await time(() => buildNGOInventory(ngoId))
+      },
+      {
+        operation: 'Center.updateBloodInventory (one center)',
+        legacyMs: await time(() => legacyUpdateBloodInventory(centers[0])),
+        aggregationMs: await time(() => centers[0].updateBloodInventory())
+      }
+    ].map(result => ({
+      ...result,
+      legacyMs: Math.round(result.legacyMs),
+      aggregationMs: Math.round(result.aggregationMs),
+      speedup: `${(result.legacyMs / result.aggregationMs).toFixed(1)}x`
+    }));
+
+    console.table(results);
+  } catch (error) {
+    console.error('Benchmark failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (seeded && mongoose.connection.name === DB_NAME) {
+      await mongoose.connection.dropDatabase();
+    }
+    await mongoose.connection.close();
+  }
+};
+
+runBenchmark();
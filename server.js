@@ -1,6 +1,7 @@
 import dotenv from "dotenv";
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { startScheduler } from "./jobs/index.js";
 dotenv.config();
 
 connectDB()
@@ -9,6 +10,7 @@ connectDB()
       console.log(`server is runing at port : ${process.env.PORT}`);
     });
     console.log(`app is listening at http://localhost:${process.env.PORT}`);
+    startScheduler();
   })
   .catch((err) => {
     console.log("MOngo db connection failed :", err);
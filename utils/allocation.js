@@ -0,0 +1,196 @@
+import BloodDonation from "../models/blood.models.js";
+import { Center } from "../models/center.models.js";
+import { calculateDistance } from "./geo.js";
+import { RED_CELL_COMPONENTS, getLineDonorGroups, lineAcceptsComponent } from "./bloodCompatibility.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Allocations made before request lines were tracked are matched by blood group
+const isAllocatedToLine = (allocatedUnit, line) => allocatedUnit.lineId
+  ? allocatedUnit.lineId.toString() === line._id.toString()
+  : allocatedUnit.bloodGroup === line.bloodGroup;
+
+/**
+ * Propose units for each outstanding line of a blood request
+ * Units already reserved for the request come first; the rest are picked
+ * from the requested blood group before compatible substitutes (for lines
+ * that accept them), first-expiry-first-out, taking units expiring on the
+ * same day from the center closest to the hospital first
+ *
+ * Lines with patient details skip units that crossmatched incompatible and
+ * take crossmatch-compatible units before anything else
+ *
+ * @param {Object} request - BloodRequest document
+ * @param {Object} hospital - Hospital document (for its coordinates)
+ * @param {Object} options - { maxDistanceKm } to ignore centers further away,
+ *   { excludedBloodGroups } to leave units of those groups out (e.g. as substitutes)
+ */
+const buildAllocationProposal = async (request, hospital, { maxDistanceKm, excludedBloodGroups = [] } = {}) => {
+  const hospitalCoordinates = hospital?.address?.location?.coordinates;
+  const hasHospitalLocation = Array.isArray(hospitalCoordinates) && hospitalCoordinates.length === 2;
+
+  // Distance from the hospital to each of the NGO's centers
+  const centers = await Center.find({ ngoId: request.ngoId }).select('name location.coordinates');
+  const centerById = new Map(centers.map(center => {
+    const coordinates = center.location?.coordinates?.coordinates;
+    const distanceKm = hasHospitalLocation && coordinates?.length === 2
+      ? Math.round(calculateDistance(hospitalCoordinates, coordinates) * 10) / 10
+      : null;
+    return [center._id.toString(), { center, distanceKm }];
+  }));
+
+  const alreadyAllocated = request.allocation?.units || [];
+  const usedDonationIds = new Set(alreadyAllocated.map(unit => unit.donationId.toString()));
+
+  const lines = [];
+  for (const line of request.bloodGroups) {
+    // Units sent by direct transfer are only counted in the line's fulfilment
+    const allocatedBefore = Math.max(
+      alreadyAllocated.filter(unit => isAllocatedToLine(unit, line)).length,
+      line.fulfilledUnits || 0
+    );
+    const closedOut = line.closedOutUnits || 0;
+    const outstanding = Math.max(0, line.units - allocatedBefore - closedOut);
+
+    const candidates = [];
+    for (const { bloodGroup, rank, exact } of getLineDonorGroups(line, request.urgencyLevel)) {
+      if (excludedBloodGroups.includes(bloodGroup)) continue;
+
+      const units = await BloodDonation.findAvailableByBloodGroup(bloodGroup, {
+        ngoId: request.ngoId,
+        componentType: line.componentType || { $in: RED_CELL_COMPONENTS },
+        reservedFor: request._id
+      });
+
+      units
+        .filter(unit =>
+          unit.currentLocation?.entityType === 'Center' &&
+          !usedDonationIds.has(unit._id.toString()) &&
+          centerById.has(unit.currentLocation.entityId.toString())
+        )
+        .forEach(unit => {
+          const { center, distanceKm } = centerById.get(unit.currentLocation.entityId.toString());
+          const crossmatch = line.patient
+            ? request.getCrossmatch(line._id, unit._id)?.result || 'Pending'
+            : null;
+          if (crossmatch === 'Incompatible') return;
+          if (!maxDistanceKm || distanceKm === null || distanceKm <= maxDistanceKm) {
+            candidates.push({ unit, center, distanceKm, reserved: unit.isReserved(), rank, substitute: !exact, crossmatch });
+          }
+        });
+    }
+
+    // Crossmatched units first, then reserved units, then the most preferred blood group,
+    // then first expiry first out, then nearest center for units expiring the same day
+    candidates.sort((a, b) => {
+      if (a.crossmatch !== b.crossmatch) return a.crossmatch === 'Compatible' ? -1 : 1;
+      if (a.reserved !== b.reserved) return a.reserved ? -1 : 1;
+      if (a.rank !== b.rank) return a.rank - b.rank;
+      const dayDifference = Math.floor(a.unit.expiryDate / DAY) - Math.floor(b.unit.expiryDate / DAY);
+      if (dayDifference !== 0) return dayDifference;
+      return (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity);
+    });
+
+    const picked = candidates.slice(0, outstanding);
+    picked.forEach(candidate => usedDonationIds.add(candidate.unit._id.toString()));
+
+    lines.push({
+      lineId: line._id,
+      bloodGroup: line.bloodGroup,
+      componentType: line.componentType,
+      acceptSubstitutes: line.acceptSubstitutes,
+      requested: line.units,
+      previouslyAllocated: allocatedBefore,
+      closedOut,
+      proposed: picked.length,
+      shortfall: outstanding - picked.length,
+      crossmatchRequired: Boolean(line.patient),
+      units: picked.map(({ unit, center, distanceKm, reserved, substitute, crossmatch }) => ({
+        donationId: unit._id,
+        bloodGroup: unit.bloodGroup,
+        componentType: unit.componentType,
+        centerId: center._id,
+        centerName: center.name,
+        expiryDate: unit.expiryDate,
+        distanceKm,
+        reserved,
+        substitute,
+        crossmatch
+      }))
+    });
+  }
+
+  return {
+    requestId: request._id,
+    lines,
+    totalProposed: lines.reduce((sum, line) => sum + line.proposed, 0),
+    fullyAllocated: lines.every(line => line.shortfall === 0)
+  };
+};
+
+/**
+ * Create a matcher that assigns units to the outstanding lines of a proposal
+ * Each unit goes to the line that prefers its blood group most; returns the
+ * line's id, or null when the unit fits no line with units still outstanding
+ *
+ * Lines with patient details never take units that crossmatched incompatible,
+ * and with requireCrossmatch only take units that crossmatched compatible
+ * against a patient sample that is still valid
+ *
+ * @param {Object} request - BloodRequest document
+ * @param {Array} proposalLines - Lines from buildAllocationProposal
+ * @param {Object} options - { requireCrossmatch } false when units are only set aside (default true)
+ */
+const createLineMatcher = (request, proposalLines, { requireCrossmatch = true } = {}) => {
+  const remaining = new Map(proposalLines.map(line => [
+    line.lineId.toString(),
+    line.requested - line.previouslyAllocated - line.closedOut
+  ]));
+  const donorGroups = new Map(request.bloodGroups.map(line => [
+    line._id.toString(),
+    getLineDonorGroups(line, request.urgencyLevel)
+  ]));
+
+  return (unit) => {
+    let best = null;
+    request.bloodGroups.forEach(line => {
+      const lineId = line._id.toString();
+      if (!(remaining.get(lineId) > 0)) return;
+      if (!lineAcceptsComponent(line, unit.componentType)) return;
+
+      const crossmatch = line.patient ? request.getCrossmatch(line._id, unit._id)?.result : null;
+      if (crossmatch === 'Incompatible') return;
+      if (requireCrossmatch && !request.isCrossmatchCompatible(line, unit._id)) return;
+
+      const match = donorGroups.get(lineId).find(group => group.bloodGroup === unit.bloodGroup);
+      if (match && (!best || match.rank < best.rank)) {
+        best = { lineId, rank: match.rank };
+      }
+    });
+
+    if (!best) return null;
+    remaining.set(best.lineId, remaining.get(best.lineId) - 1);
+    return best.lineId;
+  };
+};
+
+/**
+ * Order units for a line matcher by the best rank they reach on any line,
+ * so exact-group units claim their lines before substitutes that could fill
+ * several lines take the slot an exact unit needed
+ *
+ * @param {Object} request - BloodRequest document
+ * @param {Array} units - BloodDonation documents
+ * @returns {Array} A sorted copy; units that fit no line come last
+ */
+const sortByBestRank = (request, units) => {
+  const bestRank = (unit) => Math.min(...request.bloodGroups
+    .filter(line => lineAcceptsComponent(line, unit.componentType))
+    .map(line => getLineDonorGroups(line, request.urgencyLevel)
+      .find(group => group.bloodGroup === unit.bloodGroup)?.rank ?? Infinity));
+  const ranks = new Map(units.map(unit => [unit, bestRank(unit)]));
+
+  return [...units].sort((a, b) => ranks.get(a) === ranks.get(b) ? 0 : ranks.get(a) - ranks.get(b));
+};
+
+export { buildAllocationProposal, createLineMatcher, sortByBestRank };
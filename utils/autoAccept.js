@@ -0,0 +1,149 @@
+import BloodDonation from "../models/blood.models.js";
+import { Center } from "../models/center.models.js";
+import Hospital from "../models/hospital.models.js";
+import { buildAllocationProposal } from "./allocation.js";
+import { ApiError } from "./ApiError.js";
+
+/**
+ * Check a new blood request against the NGO's auto-accept rules
+ * Returns the first rule that refers the request to staff, or 'allRulesPassed'
+ * with the allocation proposal whose units would be reserved
+ *
+ * @param {Object} request - Saved BloodRequest document
+ * @param {Object} ngo - NGO document with settings and connectedHospitals
+ */
+const evaluateAutoAccept = async (request, ngo) => {
+  const rules = ngo.settings?.autoAcceptRules || {};
+  const refer = (rule, reason) => ({ decision: 'Referred', rule, reason });
+
+  const connected = ngo.connectedHospitals.some(connection =>
+    connection.hospitalId?.equals(request.hospitalId) && connection.status === 'Approved'
+  );
+  if (!connected) {
+    return refer('connectedHospitals', "Hospital is not an approved connection of the NGO");
+  }
+
+  if (rules.allowedUrgencyLevels?.length && !rules.allowedUrgencyLevels.includes(request.urgencyLevel)) {
+    return refer('allowedUrgencyLevels', `${request.urgencyLevel} requests are not auto-accepted`);
+  }
+
+  const excluded = request.bloodGroups
+    .map(line => line.bloodGroup)
+    .filter(bloodGroup => rules.excludedBloodGroups?.includes(bloodGroup));
+  if (excluded.length) {
+    return refer('excludedBloodGroups', `${[...new Set(excluded)].join(', ')} requests are not auto-accepted`);
+  }
+
+  const totalUnits = request.bloodGroups.reduce((sum, line) => sum + line.units, 0);
+  if (rules.maxUnitsPerRequest && totalUnits > rules.maxUnitsPerRequest) {
+    return refer('maxUnitsPerRequest', `${totalUnits} units requested, auto-accept limit is ${rules.maxUnitsPerRequest}`);
+  }
+
+  const hospital = await Hospital.findById(request.hospitalId).select('name address.location');
+  // Excluded groups are not auto-reserved as substitutes either
+  const proposal = await buildAllocationProposal(request, hospital, {
+    excludedBloodGroups: rules.excludedBloodGroups || []
+  });
+  if (!proposal.fullyAllocated) {
+    const short = proposal.lines
+      .filter(line => line.shortfall > 0)
+      .map(line => `${line.shortfall} ${line.bloodGroup}`);
+    return refer('availableStock', `Not enough unreserved stock: short ${short.join(', ')} units`);
+  }
+
+  return {
+    decision: 'Accepted',
+    rule: 'allRulesPassed',
+    reason: `Accepted automatically with ${proposal.totalProposed} units reserved`,
+    proposal
+  };
+};
+
+/**
+ * Reserve a unit only if no other request holds it, so two requests created
+ * at the same time cannot both reserve it
+ */
+const reserveUnit = async (unit, requestId, holdMinutes, actor) => {
+  unit.reserveFor(requestId, holdMinutes, actor);
+
+  const now = new Date();
+  const { modifiedCount } = await BloodDonation.updateOne(
+    {
+      _id: unit._id,
+      status: 'available',
+      'transferHold.incidentId': { $exists: false },
+      'currentLocation.inTransit': { $ne: true },
+      $or: [
+        { 'reservation.requestId': { $exists: false } },
+        { 'reservation.expiresAt': { $lte: now } },
+        { 'reservation.requestId': requestId }
+      ]
+    },
+    { $set: { reservation: unit.reservation.toObject() } }
+  );
+
+  if (!modifiedCount) {
+    throw new ApiError(409, `Blood unit ${unit._id} was reserved by another request`);
+  }
+};
+
+/**
+ * Apply the NGO's auto-accept settings to a new blood request
+ * Accepted requests get their proposed units reserved; every decision is
+ * recorded on the request. Does nothing when auto-accept is off
+ *
+ * @param {Object} request - Saved BloodRequest document (status Pending)
+ * @param {Object} ngo - NGO document with settings and connectedHospitals
+ * @returns {Object|null} The recorded decision
+ */
+const applyAutoAccept = async (request, ngo) => {
+  if (!ngo?.settings?.autoAcceptRequests) return null;
+
+  const actor = { entityId: ngo._id, entityType: 'NGO' };
+  const { proposal, ...decision } = await evaluateAutoAccept(request, ngo);
+
+  // Reserve the proposed units before accepting, so the request never shows accepted without stock
+  const reservedUnits = [];
+  if (decision.decision === 'Accepted') {
+    const units = await BloodDonation.find({
+      _id: { $in: proposal.lines.flatMap(line => line.units.map(unit => unit.donationId)) }
+    });
+
+    try {
+      for (const unit of units) {
+        await reserveUnit(unit, request._id, ngo.settings.reservationHoldMinutes || 240, actor);
+        reservedUnits.push(unit);
+      }
+    } catch (error) {
+      // Another request took a unit in the meantime; leave this one for staff
+      await BloodDonation.releaseReservations({ 'reservation.requestId': request._id });
+      reservedUnits.length = 0;
+      Object.assign(decision, {
+        decision: 'Referred',
+        rule: 'availableStock',
+        reason: `Units could not be reserved: ${error.message}`
+      });
+    }
+  }
+
+  request.autoDecision = { ...decision, decidedAt: new Date() };
+  if (decision.decision === 'Accepted') {
+    request.changeStatus('Accepted', { actor, note: `Auto-accepted: ${decision.reason}` });
+  }
+  await request.save();
+
+  // Reserved units no longer count as available
+  const centerIds = new Set(reservedUnits
+    .filter(unit => unit.currentLocation.entityType === 'Center')
+    .map(unit => unit.currentLocation.entityId.toString()));
+  for (const centerId of centerIds) {
+    const center = await Center.findById(centerId);
+    if (center) {
+      await center.updateBloodInventory();
+    }
+  }
+
+  return request.autoDecision;
+};
+
+export { evaluateAutoAccept, applyAutoAccept };
@@ -0,0 +1,136 @@
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Group whose red cells any patient can receive; kept for patients who truly need it
+const UNIVERSAL_RED_CELL_DONOR = 'O-';
+
+// Compatibility rules that apply to each component type
+const COMPONENT_RULES = {
+  WholeBlood: 'wholeBlood',
+  PackedRedCells: 'redCells',
+  Plasma: 'plasma',
+  Cryoprecipitate: 'plasma',
+  Platelets: 'platelets'
+};
+
+const parseBloodGroup = (bloodGroup) => ({
+  antigens: bloodGroup.slice(0, -1) === 'O' ? [] : bloodGroup.slice(0, -1).split(''),
+  rhPositive: bloodGroup.endsWith('+')
+});
+
+// Every ABO antigen on the donor's cells is also on the recipient's
+const cellsCompatible = (donor, recipient) =>
+  donor.antigens.every(antigen => recipient.antigens.includes(antigen));
+
+// The donor's plasma carries no antibody against the recipient's antigens
+const plasmaCompatible = (donor, recipient) =>
+  recipient.antigens.every(antigen => donor.antigens.includes(antigen));
+
+// Rh-negative patients should not receive Rh-positive cells
+const rhCompatible = (donor, recipient) => recipient.rhPositive || !donor.rhPositive;
+
+/**
+ * Check whether a donor blood group can be given to a recipient for a component
+ *
+ * @param {String} donorGroup - Blood group of the unit
+ * @param {String} recipientGroup - Blood group of the patient
+ * @param {String} componentType - One of COMPONENT_TYPES
+ */
+const isCompatible = (donorGroup, recipientGroup, componentType) => {
+  if (donorGroup === recipientGroup) return true;
+
+  const donor = parseBloodGroup(donorGroup);
+  const recipient = parseBloodGroup(recipientGroup);
+
+  switch (COMPONENT_RULES[componentType]) {
+    case 'redCells':
+      return cellsCompatible(donor, recipient) && rhCompatible(donor, recipient);
+    case 'wholeBlood':
+      // Whole blood carries both cells and plasma, so the ABO group must match
+      return cellsCompatible(donor, recipient) &&
+        plasmaCompatible(donor, recipient) &&
+        rhCompatible(donor, recipient);
+    case 'plasma':
+      return plasmaCompatible(donor, recipient);
+    case 'platelets':
+      // Platelets are suspended in plasma and carry a few red cells
+      return plasmaCompatible(donor, recipient) && rhCompatible(donor, recipient);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Blood groups that can supply a recipient, ranked by preference:
+ * the recipient's own group, then same ABO group, then other groups,
+ * with the universal red cell donor last
+ *
+ * O- red cells are only offered as a substitute to Rh-negative patients
+ * or for emergency requests, so they stay available for patients who need them
+ *
+ * @param {String} recipientGroup - Blood group of the patient
+ * @param {String} componentType - One of COMPONENT_TYPES
+ * @param {Object} options - { urgencyLevel } of the request
+ * @returns {Array} [{ bloodGroup, rank, exact }] in order of preference
+ */
+const getCompatibleDonorGroups = (recipientGroup, componentType, { urgencyLevel } = {}) => {
+  const recipient = parseBloodGroup(recipientGroup);
+  const carriesRedCells = ['redCells', 'wholeBlood'].includes(COMPONENT_RULES[componentType]);
+  const protectUniversalDonor = carriesRedCells && recipient.rhPositive && urgencyLevel !== 'Emergency';
+
+  const preference = (bloodGroup) => {
+    if (bloodGroup === recipientGroup) return 0;
+    if (carriesRedCells && bloodGroup === UNIVERSAL_RED_CELL_DONOR) return 3;
+    return bloodGroup.slice(0, -1) === recipientGroup.slice(0, -1) ? 1 : 2;
+  };
+
+  return BLOOD_GROUPS
+    .filter(bloodGroup => isCompatible(bloodGroup, recipientGroup, componentType))
+    .filter(bloodGroup =>
+      bloodGroup === recipientGroup ||
+      bloodGroup !== UNIVERSAL_RED_CELL_DONOR ||
+      !protectUniversalDonor
+    )
+    .map(bloodGroup => ({
+      bloodGroup,
+      rank: preference(bloodGroup),
+      exact: bloodGroup === recipientGroup
+    }))
+    .sort((a, b) => a.rank - b.rank);
+};
+
+/**
+ * Blood groups a request line may be filled from, in order of preference
+ * Lines that do not accept substitutes are only filled from their own group
+ *
+ * @param {Object} line - Request line { bloodGroup, componentType, acceptSubstitutes }
+ * @param {String} urgencyLevel - Urgency of the request
+ */
+const getLineDonorGroups = (line, urgencyLevel) => {
+  if (!line.acceptSubstitutes || !line.componentType) {
+    return [{ bloodGroup: line.bloodGroup, rank: 0, exact: true }];
+  }
+  return getCompatibleDonorGroups(line.bloodGroup, line.componentType, { urgencyLevel });
+};
+
+// Components a request line without a componentType is filled from:
+// a plain "B+" request is for red cells, not plasma or platelets
+const RED_CELL_COMPONENTS = ['WholeBlood', 'PackedRedCells'];
+
+/**
+ * Check a unit's component can fill a request line
+ *
+ * @param {Object} line - Request line { componentType }
+ * @param {String} componentType - Component of the unit
+ */
+const lineAcceptsComponent = (line, componentType) => line.componentType
+  ? componentType === line.componentType
+  : RED_CELL_COMPONENTS.includes(componentType || 'WholeBlood');
+
+export {
+  BLOOD_GROUPS,
+  RED_CELL_COMPONENTS,
+  isCompatible,
+  getCompatibleDonorGroups,
+  getLineDonorGroups,
+  lineAcceptsComponent
+};
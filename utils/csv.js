@@ -0,0 +1,81 @@
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ * Supports quoted fields (with "" escapes) and CRLF line endings
+ */
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  const nonEmptyRows = rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+  if (!nonEmptyRows.length) return [];
+
+  const headers = nonEmptyRows[0].map(header => header.trim());
+
+  return nonEmptyRows.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = cells[index] !== undefined ? cells[index].trim() : "";
+    });
+    return record;
+  });
+};
+
+/**
+ * Turn dotted CSV headers (e.g. "healthMetrics.pulse") into nested objects
+ * Empty cells are dropped so schema defaults apply
+ */
+const unflattenRecord = (record) => {
+  const result = {};
+
+  Object.entries(record).forEach(([key, value]) => {
+    if (value === "" || value === undefined || value === null) return;
+
+    const path = key.split(".");
+    let target = result;
+    path.slice(0, -1).forEach(part => {
+      if (typeof target[part] !== "object" || target[part] === null) target[part] = {};
+      target = target[part];
+    });
+    target[path[path.length - 1]] = value;
+  });
+
+  return result;
+};
+
+export { parseCSV, unflattenRecord };
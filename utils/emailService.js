@@ -54,3 +54,290 @@ export const generateOTP = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
+
+/**
+
+Sends a blood unit recall notice to a hospital
+
+@param {string} email - The hospital's email address
+
+@param {string} hospitalName - The hospital's name
+
+@param {Array<Object>} units - Affected units (id, bloodGroup, componentType, status)
+
+@param {string} reason - Why the units are being recalled
+
+@returns {Promise<boolean>} - Whether the email was sent successfully */
+export const sendRecallNoticeEmail = async (email, hospitalName, units, reason) => {
+  try {
+    const unitRows = units.map(unit => `<tr>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${unit.id}</td>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${unit.bloodGroup}</td>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${unit.componentType}</td>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${unit.status}</td>
+    </tr>`).join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Blood Donation - Urgent Blood Unit Recall',
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+    <h2 style="color: #d32f2f; text-align: center;">Blood Unit Recall Notice</h2>
+    <p>Hello ${hospitalName || 'there'},</p>
+    <p>The following blood units your hospital received are part of a donor lookback and must not be transfused:</p>
+    <p><strong>Reason:</strong> ${reason}</p>
+    <table style="border-collapse: collapse; width: 100%;">
+      <tr>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Unit</th>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Blood Group</th>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Component</th>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Status</th>
+      </tr>
+      ${unitRows}
+    </table>
+    <p style="margin-top: 20px;">Please quarantine any units still in stock, trace recipients of transfused units, and acknowledge this recall from your dashboard.</p>
+    <div style="margin-top: 30px; border-top: 1px solid #e0e0e0; padding-top: 15px; text-align: center; color: #757575; font-size: 12px;">
+      <p>This is an automated email, please do not reply.</p>
+    </div>
+  </div>`,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Recall notice sent successfully:', info.messageId);
+    return true;
+  } catch (error) {
+    if (error.code === 'EAUTH') {
+      console.error('Authentication error: Please check your EMAIL_USER and EMAIL_APP_PASSWORD environment variables.');
+    } else {
+      console.error('Error sending recall notice:', error);
+    }
+    return false;
+  }
+};
+
+
+/**
+
+Sends an emergency blood request broadcast to an NGO
+
+@param {string} email - The NGO's email address
+
+@param {string} ngoName - The NGO's name
+
+@param {string} hospitalName - The requesting hospital's name
+
+@param {Array<Object>} lines - Requested lines (bloodGroup, units, componentType)
+
+@param {number} distanceKm - Distance from the NGO to the hospital
+
+@returns {Promise<boolean>} - Whether the email was sent successfully */
+export const sendEmergencyBroadcastEmail = async (email, ngoName, hospitalName, lines, distanceKm) => {
+  try {
+    const lineRows = lines.map(line => `<tr>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${line.bloodGroup}</td>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${line.componentType || 'Red cells'}</td>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${line.units}</td>
+    </tr>`).join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Blood Donation - Emergency Blood Request Nearby',
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+    <h2 style="color: #d32f2f; text-align: center;">Emergency Blood Request</h2>
+    <p>Hello ${ngoName || 'there'},</p>
+    <p>${hospitalName || 'A hospital'}, ${distanceKm} km from you, has broadcast an emergency request to every nearby blood bank:</p>
+    <table style="border-collapse: collapse; width: 100%;">
+      <tr>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Blood Group</th>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Component</th>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Units</th>
+      </tr>
+      ${lineRows}
+    </table>
+    <p style="margin-top: 20px;">The first blood bank to accept the request from its dashboard will supply it.</p>
+    <div style="margin-top: 30px; border-top: 1px solid #e0e0e0; padding-top: 15px; text-align: center; color: #757575; font-size: 12px;">
+      <p>This is an automated email, please do not reply.</p>
+    </div>
+  </div>`,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Emergency broadcast sent successfully:', info.messageId);
+    return true;
+  } catch (error) {
+    if (error.code === 'EAUTH') {
+      console.error('Authentication error: Please check your EMAIL_USER and EMAIL_APP_PASSWORD environment variables.');
+    } else {
+      console.error('Error sending emergency broadcast:', error);
+    }
+    return false;
+  }
+};
+
+
+/**
+
+Sends the one-time delivery code for a dispatched blood request to the hospital
+
+@param {string} email - The hospital's email address
+
+@param {string} contactName - The hospital's receiving contact (optional)
+
+@param {string} ngoName - The dispatching NGO's name
+
+@param {string} requestId - The blood request ID
+
+@param {string} code - The one-time delivery code
+
+@returns {Promise<boolean>} - Whether the email was sent successfully */
+export const sendDeliveryCodeEmail = async (email, contactName, ngoName, requestId, code) => {
+  try {
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Blood Donation - Delivery Code for Your Blood Request',
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+    <h2 style="color: #d32f2f; text-align: center;">Blood Units Dispatched</h2>
+    <p>Hello ${contactName || 'there'},</p>
+    <p>${ngoName || 'The blood bank'} has dispatched the units for blood request ${requestId}. Use this one-time code to confirm delivery when they arrive:</p>
+    <div style="background-color: #f5f5f5; padding: 15px; text-align: center; font-size: 24px; letter-spacing: 5px; font-weight: bold; margin: 20px 0;">
+      ${code}
+    </div>
+    <p>Check the code against the one the courier carries before accepting the units. Do not share it with anyone else.</p>
+    <div style="margin-top: 30px; border-top: 1px solid #e0e0e0; padding-top: 15px; text-align: center; color: #757575; font-size: 12px;">
+      <p>This is an automated email, please do not reply.</p>
+    </div>
+  </div>`,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Delivery code sent successfully:', info.messageId);
+    return true;
+  } catch (error) {
+    if (error.code === 'EAUTH') {
+      console.error('Authentication error: Please check your EMAIL_USER and EMAIL_APP_PASSWORD environment variables.');
+    } else {
+      console.error('Error sending delivery code:', error);
+    }
+    return false;
+  }
+};
+
+
+/**
+
+Tells an NGO that a hospital amended or cancelled a blood request
+
+@param {string} email - The NGO's email address
+
+@param {string} ngoName - The NGO's name
+
+@param {string} hospitalName - The hospital's name
+
+@param {string} requestId - The blood request ID
+
+@param {string} change - 'amended' or 'cancelled'
+
+@param {string} details - What changed, or why the request was cancelled
+
+@returns {Promise<boolean>} - Whether the email was sent successfully */
+export const sendRequestChangeEmail = async (email, ngoName, hospitalName, requestId, change, details) => {
+  try {
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Blood Donation - Blood Request ${change === 'cancelled' ? 'Cancelled' : 'Amended'}`,
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+    <h2 style="color: #d32f2f; text-align: center;">Blood Request ${change === 'cancelled' ? 'Cancelled' : 'Amended'}</h2>
+    <p>Hello ${ngoName || 'there'},</p>
+    <p>${hospitalName || 'A hospital'} has ${change} blood request ${requestId}.</p>
+    <p>${details}</p>
+    <p style="margin-top: 20px;">${change === 'cancelled'
+      ? 'Units reserved or dispatched for the request have been released back to stock.'
+      : 'Review the amendment history on your dashboard before allocating units.'}</p>
+    <div style="margin-top: 30px; border-top: 1px solid #e0e0e0; padding-top: 15px; text-align: center; color: #757575; font-size: 12px;">
+      <p>This is an automated email, please do not reply.</p>
+    </div>
+  </div>`,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Request change notice sent successfully:', info.messageId);
+    return true;
+  } catch (error) {
+    if (error.code === 'EAUTH') {
+      console.error('Authentication error: Please check your EMAIL_USER and EMAIL_APP_PASSWORD environment variables.');
+    } else {
+      console.error('Error sending request change notice:', error);
+    }
+    return false;
+  }
+};
+
+
+/**
+
+Escalates a blood request that missed its response or delivery SLA
+
+@param {string} email - The recipient's email address
+
+@param {string} recipientName - The person or organisation being notified (optional)
+
+@param {Object} request - Request summary (id, hospitalName, ngoName, urgencyLevel, lines)
+
+@param {string} breachType - 'response' or 'delivery'
+
+@param {Date} dueAt - When the SLA expired
+
+@param {string} level - Escalation level ('NGO', 'Hospital' or 'Admin')
+
+@returns {Promise<boolean>} - Whether the email was sent successfully */
+export const sendSlaEscalationEmail = async (email, recipientName, request, breachType, dueAt, level) => {
+  try {
+    const lineRows = request.lines.map(line => `<tr>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${line.bloodGroup}</td>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${line.componentType || 'Red cells'}</td>
+      <td style="padding: 6px; border: 1px solid #e0e0e0;">${line.units}</td>
+    </tr>`).join('');
+    const missed = breachType === 'response' ? 'has not been accepted or rejected' : 'has not been dispatched';
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Blood Donation - ${request.urgencyLevel} Blood Request Overdue`,
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+    <h2 style="color: #d32f2f; text-align: center;">Blood Request Overdue</h2>
+    <p>Hello ${recipientName || 'there'},</p>
+    <p>The ${request.urgencyLevel.toLowerCase()} blood request ${request.id} from ${request.hospitalName || 'a hospital'} to ${request.ngoName || 'nearby blood banks'} ${missed}. It was due by ${new Date(dueAt).toUTCString()}.</p>
+    <table style="border-collapse: collapse; width: 100%;">
+      <tr>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Blood Group</th>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Component</th>
+        <th style="padding: 6px; border: 1px solid #e0e0e0;">Units</th>
+      </tr>
+      ${lineRows}
+    </table>
+    <p style="margin-top: 20px;">${level === 'NGO'
+      ? 'Please respond to the request from your dashboard.'
+      : level === 'Hospital'
+        ? 'The blood bank has been notified. Please follow up with them or request the units elsewhere.'
+        : 'The blood bank and the hospital have both been notified without the request moving. Please follow up with them.'}</p>
+    <div style="margin-top: 30px; border-top: 1px solid #e0e0e0; padding-top: 15px; text-align: center; color: #757575; font-size: 12px;">
+      <p>This is an automated email, please do not reply.</p>
+    </div>
+  </div>`,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('SLA escalation sent successfully:', info.messageId);
+    return true;
+  } catch (error) {
+    if (error.code === 'EAUTH') {
+      console.error('Authentication error: Please check your EMAIL_USER and EMAIL_APP_PASSWORD environment variables.');
+    } else {
+      console.error('Error sending SLA escalation:', error);
+    }
+    return false;
+  }
+};
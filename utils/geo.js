@@ -0,0 +1,17 @@
+// Utility function to calculate distance between two [longitude, latitude] coordinates
+// Simple haversine calculation - would use a proper geospatial library in production
+const calculateDistance = (coords1, coords2) => {
+  const R = 6371; // Radius of the earth in km
+  const dLat = deg2rad(coords2[1] - coords1[1]);
+  const dLon = deg2rad(coords2[0] - coords1[0]);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(deg2rad(coords1[1])) * Math.cos(deg2rad(coords2[1])) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; // Distance in km
+};
+
+const deg2rad = (deg) => deg * (Math.PI / 180);
+
+export { calculateDistance };
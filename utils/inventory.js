@@ -0,0 +1,143 @@
+import BloodDonation, { COMPONENT_TYPES } from "../models/blood.models.js";
+import { Center, HELD_STATUSES } from "../models/center.models.js";
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const DAY = 1000 * 60 * 60 * 24;
+
+// Empty { total, available } counters per blood group
+const emptyGroupCounts = () => Object.fromEntries(
+  BLOOD_GROUPS.map(group => [group, { total: 0, available: 0 }])
+);
+
+// Empty counters per component and blood group
+const emptyComponentCounts = () => Object.fromEntries(
+  COMPONENT_TYPES.map(componentType => [componentType, emptyGroupCounts()])
+);
+
+/**
+ * Build an NGO's blood inventory across all its centers
+ * Uses one aggregation for the counts and one query for units expiring soon,
+ * instead of loading every unit of every center
+ *
+ * @param {ObjectId} ngoId
+ * @returns {Object} { total, byComponent, byCenter, expiringSoon }
+ */
+const buildNGOInventory = async (ngoId) => {
+  const centers = await Center.find({ ngoId });
+  const centerIds = centers.map(center => center._id);
+  const now = new Date();
+
+  const inventory = {
+    total: emptyGroupCounts(),
+    byComponent: emptyComponentCounts(),
+    byCenter: {},
+    expiringSoon: []
+  };
+
+  // Count units held at each center by blood group and component
+  // (separated whole-blood donations are counted through their components;
+  // reserved units are held for a request and not available to others, and
+  // units on hold after a temperature excursion cannot be handed out)
+  const counts = await BloodDonation.aggregate([
+    {
+      $match: {
+        'currentLocation.entityId': { $in: centerIds },
+        // Units still in transit to a center are counted once received
+        'currentLocation.inTransit': { $ne: true },
+        status: { $ne: 'separated' }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          centerId: '$currentLocation.entityId',
+          bloodGroup: '$bloodGroup',
+          componentType: { $ifNull: ['$componentType', 'WholeBlood'] }
+        },
+        total: { $sum: 1 },
+        available: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ['$status', 'available'] },
+                  { $not: [{ $gt: ['$reservation.expiresAt', now] }] },
+                  { $eq: [{ $ifNull: ['$transferHold.incidentId', null] }, null] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        },
+        held: { $sum: { $cond: [{ $in: ['$status', HELD_STATUSES] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const countsByCenter = new Map();
+  counts.forEach(row => {
+    const centerId = row._id.centerId.toString();
+    if (!countsByCenter.has(centerId)) countsByCenter.set(centerId, []);
+    countsByCenter.get(centerId).push(row);
+  });
+
+  for (const center of centers) {
+    const centerInventory = emptyGroupCounts();
+    const centerComponents = emptyComponentCounts();
+    let heldUnits = 0;
+
+    (countsByCenter.get(center._id.toString()) || []).forEach(row => {
+      const { bloodGroup, componentType } = row._id;
+
+      centerInventory[bloodGroup].total += row.total;
+      centerInventory[bloodGroup].available += row.available;
+      centerComponents[componentType][bloodGroup].total += row.total;
+      centerComponents[componentType][bloodGroup].available += row.available;
+
+      inventory.total[bloodGroup].total += row.total;
+      inventory.total[bloodGroup].available += row.available;
+      inventory.byComponent[componentType][bloodGroup].total += row.total;
+      inventory.byComponent[componentType][bloodGroup].available += row.available;
+
+      heldUnits += row.held;
+    });
+
+    inventory.byCenter[center._id] = {
+      centerName: center.name,
+      centerType: center.type,
+      inventory: centerInventory,
+      components: centerComponents,
+      utilisation: await center.getUtilisation(heldUnits)
+    };
+  }
+
+  // Available units expiring within 7 days
+  const expiringUnits = await BloodDonation.find({
+    'currentLocation.entityId': { $in: centerIds },
+    'currentLocation.inTransit': { $ne: true },
+    status: 'available',
+    expiryDate: { $gte: now, $lt: new Date(now.getTime() + 8 * DAY) },
+    'reservation.expiresAt': { $not: { $gt: now } }
+  }).select('bloodGroup componentType expiryDate currentLocation');
+
+  const centerById = new Map(centers.map(center => [center._id.toString(), center]));
+  inventory.expiringSoon = expiringUnits
+    .map(unit => {
+      const center = centerById.get(unit.currentLocation.entityId.toString());
+      return {
+        id: unit._id,
+        bloodGroup: unit.bloodGroup,
+        componentType: unit.componentType || 'WholeBlood',
+        expiryDate: unit.expiryDate,
+        daysRemaining: Math.floor((unit.expiryDate - now) / DAY),
+        centerName: center.name,
+        centerId: center._id
+      };
+    })
+    .sort((a, b) => a.daysRemaining - b.daysRemaining);
+
+  return inventory;
+};
+
+export { buildNGOInventory };
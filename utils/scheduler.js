@@ -0,0 +1,107 @@
+import JobRun from "../models/jobRun.models.js";
+
+// Registered background jobs keyed by name
+const jobs = new Map();
+const timers = [];
+
+/**
+ * Register a background job to run every `intervalMs` milliseconds
+ */
+const registerJob = (name, intervalMs, handler) => {
+  jobs.set(name, { name, intervalMs, handler, running: false });
+};
+
+/**
+ * Run a registered job once and record the run
+ * Returns null if the job is already running
+ */
+const runJob = async (name, trigger = 'scheduled', triggeredBy) => {
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  // Skip overlapping runs of the same job
+  if (job.running) {
+    return null;
+  }
+
+  job.running = true;
+  let run;
+  try {
+    run = await JobRun.create({
+      job: name,
+      trigger,
+      triggeredBy,
+      startedAt: new Date()
+    });
+  } catch (error) {
+    // The run could not be recorded, so it never started
+    job.running = false;
+    throw error;
+  }
+
+  try {
+    run.summary = await job.handler();
+    run.status = 'succeeded';
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    job.running = false;
+    await run.save();
+  }
+
+  return run;
+};
+
+/**
+ * Get the names and intervals of registered jobs
+ */
+const getRegisteredJobs = () => {
+  return [...jobs.values()].map(({ name, intervalMs, running }) => ({ name, intervalMs, running }));
+};
+
+/**
+ * Start running every registered job on its interval, with one run of each at startup
+ * so a restart does not delay any job by a full interval
+ * (Set SCHEDULER_ENABLED=false to disable, e.g. when several instances share a database)
+ */
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('Background scheduler disabled');
+    return;
+  }
+
+  const runScheduled = (name) => runJob(name)
+    .catch(error => console.error(`Job ${name} could not be recorded:`, error));
+
+  jobs.forEach(job => {
+    const timer = setInterval(() => runScheduled(job.name), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  });
+
+  // Startup runs go one after another rather than all at once
+  (async () => {
+    for (const name of jobs.keys()) {
+      await runScheduled(name);
+    }
+  })();
+
+  console.log(`Background scheduler started with ${jobs.size} job(s)`);
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stopScheduler = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.length = 0;
+};
+
+export { registerJob, runJob, getRegisteredJobs, startScheduler, stopScheduler };
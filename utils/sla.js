@@ -0,0 +1,44 @@
+// Default SLAs in minutes per urgency level:
+// response = time to accept or reject, delivery = time to dispatch,
+// escalation = wait between escalation levels while the breach lasts
+const DEFAULT_SLA_MINUTES = {
+  Emergency: { response: 15, delivery: 120, escalation: 15 },
+  Regular: { response: 240, delivery: 1440, escalation: 120 },
+  'Future Need': { response: 1440, delivery: 10080, escalation: 720 }
+};
+
+// Environment variable prefix for each urgency level, e.g. SLA_EMERGENCY_RESPONSE_MINUTES
+const URGENCY_ENV_KEYS = {
+  Emergency: 'EMERGENCY',
+  Regular: 'REGULAR',
+  'Future Need': 'FUTURE_NEED'
+};
+
+// Who is notified at each escalation level, in order
+const ESCALATION_LEVELS = ['NGO', 'Hospital', 'Admin'];
+
+/**
+ * Get the SLA minutes for an urgency level
+ * Each value can be overridden with SLA_<URGENCY>_<RESPONSE|DELIVERY|ESCALATION>_MINUTES
+ *
+ * @param {String} urgencyLevel - 'Emergency', 'Regular' or 'Future Need'
+ * @returns {Object} { response, delivery, escalation } in minutes
+ */
+const getSlaMinutes = (urgencyLevel) => {
+  const defaults = DEFAULT_SLA_MINUTES[urgencyLevel] || DEFAULT_SLA_MINUTES.Regular;
+  const envKey = URGENCY_ENV_KEYS[urgencyLevel] || URGENCY_ENV_KEYS.Regular;
+
+  return Object.fromEntries(Object.entries(defaults).map(([name, minutes]) => [
+    name,
+    parseInt(process.env[`SLA_${envKey}_${name.toUpperCase()}_MINUTES`]) || minutes
+  ]));
+};
+
+/**
+ * Get the SLA minutes for every urgency level
+ */
+const getSlaConfig = () => Object.fromEntries(
+  Object.keys(DEFAULT_SLA_MINUTES).map(urgencyLevel => [urgencyLevel, getSlaMinutes(urgencyLevel)])
+);
+
+export { ESCALATION_LEVELS, getSlaMinutes, getSlaConfig };